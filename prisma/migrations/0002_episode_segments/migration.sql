@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Segment" ADD COLUMN     "season" INTEGER,
+ADD COLUMN     "episode" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Segment_titleId_season_episode_idx" ON "Segment"("titleId", "season", "episode");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Release" ADD COLUMN     "speedFactor" DOUBLE PRECISION NOT NULL DEFAULT 1;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "AdminAction" (
+    "id" TEXT NOT NULL,
+    "admin" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "imdbId" TEXT,
+    "segmentId" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AdminAction_admin_createdAt_idx" ON "AdminAction"("admin", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AdminAction_imdbId_idx" ON "AdminAction"("imdbId");
@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "SegmentStatus" AS ENUM ('pending', 'approved', 'rejected');
+
+-- AlterTable
+ALTER TABLE "Segment" ADD COLUMN     "moderatedAt" TIMESTAMP(3),
+ADD COLUMN     "moderatedBy" TEXT,
+ADD COLUMN     "moderationReason" TEXT,
+ADD COLUMN     "status" "SegmentStatus" NOT NULL DEFAULT 'approved';
+
+-- CreateIndex
+CREATE INDEX "Segment_status_idx" ON "Segment"("status");
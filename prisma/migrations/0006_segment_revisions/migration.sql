@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "SegmentRevision" (
+    "id" TEXT NOT NULL,
+    "segmentId" TEXT NOT NULL,
+    "editor" TEXT NOT NULL DEFAULT 'anonymous',
+    "visitorId" TEXT,
+    "before" JSONB NOT NULL,
+    "after" JSONB NOT NULL,
+    "revertOf" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SegmentRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SegmentRevision_segmentId_createdAt_idx" ON "SegmentRevision"("segmentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SegmentRevision" ADD CONSTRAINT "SegmentRevision_segmentId_fkey" FOREIGN KEY ("segmentId") REFERENCES "Segment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
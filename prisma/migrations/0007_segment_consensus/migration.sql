@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Segment" ADD COLUMN     "mergedIntoId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Segment_mergedIntoId_idx" ON "Segment"("mergedIntoId");
+
+-- AddForeignKey
+ALTER TABLE "Segment" ADD CONSTRAINT "Segment_mergedIntoId_fkey" FOREIGN KEY ("mergedIntoId") REFERENCES "Segment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "TimelineMarkers" (
+    "contentId" TEXT NOT NULL,
+    "titleId" TEXT NOT NULL,
+    "startMs" INTEGER,
+    "endMs" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TimelineMarkers_pkey" PRIMARY KEY ("contentId")
+);
+
+-- CreateIndex
+CREATE INDEX "TimelineMarkers_titleId_idx" ON "TimelineMarkers"("titleId");
+
+-- AddForeignKey
+ALTER TABLE "TimelineMarkers" ADD CONSTRAINT "TimelineMarkers_titleId_fkey" FOREIGN KEY ("titleId") REFERENCES "Title"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Segment" ADD COLUMN     "matchedWords" JSONB;
@@ -61,6 +61,8 @@ async function seed() {
         await prisma.segment.create({
           data: {
             titleId: title.id,
+            season: seg.season ?? null,
+            episode: seg.episode ?? null,
             startMs: seg.startMs,
             endMs: seg.endMs,
             category: seg.category,
@@ -4,20 +4,22 @@
  */
 
 const db = require('../database');
+const { createMemoryCache } = require('../cache/memory');
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY || '998d6fef6df9a4e1c2a5ff6631ec5af9';
 const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p/w500';
 
-// Cache for TMDB lookups
-const posterCache = new Map();
+// Cache for TMDB lookups, bounded so it can't grow forever (posters rarely change)
+const posterCache = createMemoryCache({ maxEntries: 2000, ttl: 7 * 24 * 3600 });
 
 /**
  * Fetch poster URL from TMDB by IMDB ID
  */
 async function fetchPosterFromTMDB(imdbId) {
-  // Check cache first
-  if (posterCache.has(imdbId)) {
-    return posterCache.get(imdbId);
+  // Check cache first (titles without a poster are cached too)
+  const cached = posterCache.get(imdbId);
+  if (cached) {
+    return cached.posterUrl;
   }
 
   try {
@@ -34,7 +36,7 @@ async function fetchPosterFromTMDB(imdbId) {
     }
 
     const posterUrl = posterPath ? `${TMDB_IMAGE_BASE}${posterPath}` : null;
-    posterCache.set(imdbId, posterUrl);
+    posterCache.set(imdbId, { posterUrl });
     return posterUrl;
   } catch (error) {
     console.error(`[CleanStream] TMDB fetch error for ${imdbId}:`, error.message);
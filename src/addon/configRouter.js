@@ -0,0 +1,88 @@
+/**
+ * Configured Addon Router
+ * Serves every addon route under the /{configJSON}/ prefix the configure page builds,
+ * decoding and validating the config once and handing it to the resource handlers
+ *
+ *   /{config}/manifest.json
+ *   /{config}/{resource}/{type}/{id}.json
+ *   /{config}/{resource}/{type}/{id}/{extra}.json
+ */
+
+const express = require('express');
+const qs = require('querystring');
+
+const { decodeUserConfig } = require('./userConfig');
+
+/**
+ * Decode and validate the :config path segment, rejecting invalid configs
+ */
+function resolveUserConfig(req, res, next) {
+  const { config, errors } = decodeUserConfig(req.params.config);
+
+  if (errors) {
+    return res.status(400).json({
+      error: 'Invalid configuration',
+      details: errors,
+      configure: '/configure',
+    });
+  }
+
+  req.userConfig = config;
+  next();
+}
+
+/**
+ * Create a router for configured addon requests
+ * @param {object} addonInterface - Interface from addonBuilder.getInterface()
+ */
+function createConfigRouter(addonInterface) {
+  const { manifest } = addonInterface;
+  const router = express.Router();
+
+  // Catalogs are served even though they aren't listed in manifest.resources
+  const resources = new Set(manifest.resources.map(r => r.name || r));
+  if (manifest.catalogs.length > 0) resources.add('catalog');
+
+  // Leave anything that isn't an addon resource to the routes mounted after us
+  const onlyResources = (req, res, next) => {
+    next(resources.has(req.params.resource) ? undefined : 'route');
+  };
+
+  router.get('/:config/manifest.json', resolveUserConfig, (req, res) => {
+    res.json({
+      ...manifest,
+      behaviorHints: {
+        ...manifest.behaviorHints,
+        // Store user config for use in handlers
+        userConfig: req.userConfig,
+      },
+    });
+  });
+
+  const handleResource = async (req, res) => {
+    const { resource, type, id } = req.params;
+
+    // Parse extra from the raw path, as the SDK does, so encoded '&' survive
+    const extra = req.params.extra
+      ? qs.parse(req.path.split('/').pop().slice(0, -'.json'.length))
+      : {};
+
+    try {
+      const resp = await addonInterface.get(resource, type, id, extra, req.userConfig);
+      res.json(resp);
+    } catch (error) {
+      if (error.noHandler) {
+        return res.status(404).json({ err: 'not found' });
+      }
+      console.error(`[CleanStream] ${resource} handler error:`, error);
+      res.status(500).json({ err: 'handler error' });
+    }
+  };
+
+  router.get('/:config/:resource/:type/:id.json', onlyResources, resolveUserConfig, handleResource);
+  router.get('/:config/:resource/:type/:id/:extra.json', onlyResources, resolveUserConfig, handleResource);
+
+  return router;
+}
+
+module.exports = { createConfigRouter, resolveUserConfig };
@@ -15,7 +15,7 @@ const manifest = {
   background: 'https://raw.githubusercontent.com/cleanstream/cleanstream-stremio/main/assets/background.jpg',
   
   // Resources we provide
-  resources: ['catalog', 'subtitles'],
+  resources: ['catalog', 'subtitles', 'stream'],
   
   // Content types we support
   types: ['movie', 'series'],
@@ -73,6 +73,54 @@ const manifest = {
       options: ['off', 'low', 'medium', 'high'],
       default: 'off',
     },
+    {
+      key: 'intro',
+      type: 'select',
+      title: 'Skip Intros',
+      options: ['off', 'on'],
+      default: 'off',
+    },
+    {
+      key: 'recap',
+      type: 'select',
+      title: 'Skip Recaps',
+      options: ['off', 'on'],
+      default: 'off',
+    },
+    {
+      key: 'outro',
+      type: 'select',
+      title: 'Skip Outros',
+      options: ['off', 'on'],
+      default: 'off',
+    },
+    {
+      key: 'credits',
+      type: 'select',
+      title: 'Skip Credits',
+      options: ['off', 'on'],
+      default: 'off',
+    },
+    {
+      key: 'unapproved',
+      type: 'select',
+      title: 'Unreviewed Contributions',
+      options: ['exclude', 'include'],
+      default: 'exclude',
+    },
+    {
+      key: 'minConfidence',
+      type: 'select',
+      title: 'Minimum Confidence (votes, verification, age, source)',
+      options: ['0', '0.3', '0.5', '0.7', '0.9'],
+      default: '0',
+    },
+    {
+      key: 'release',
+      type: 'text',
+      title: 'Release / Streaming Service (e.g. netflix, amazon)',
+      required: false,
+    },
   ],
   
   catalogs: [
@@ -0,0 +1,54 @@
+/**
+ * Stremio Stream Handler
+ * Offers a stream entry carrying skipSegments, for patched players and
+ * companion apps that auto-skip (see docs/STREMIO_CONTRIBUTION_GUIDE.md)
+ */
+
+const { generateSkips } = require('../utils/skipGenerator');
+const { parseUserConfig } = require('./userConfig');
+
+/**
+ * Convert generated skips to the skipSegments stream structure
+ * Times are in seconds, as players track currentTime in seconds
+ * @param {array} skips - Output of generateSkips
+ */
+function toSkipSegments(skips) {
+  return skips.map(skip => ({
+    start: skip.startMs / 1000,
+    end: skip.endMs / 1000,
+    type: skip.category,
+    severity: skip.severity,
+    action: skip.action,
+    title: skip.description,
+  }));
+}
+
+/**
+ * Handle stream requests from Stremio
+ * @param {object} args - { type, id, config } where config was already validated by the config router
+ */
+async function streamHandler({ type, id, config }) {
+  console.log(`[CleanStream] Stream request for ${type}:${id}`);
+  
+  const userConfig = parseUserConfig(config);
+  const skips = await generateSkips(id, userConfig);
+  
+  if (skips.length === 0) {
+    return { streams: [] };
+  }
+  
+  const baseUrl = process.env.CLEANSTREAM_BASE_URL || 'http://localhost:7000';
+  const totalSkipTime = Math.round(skips.filter(s => s.action === 'skip').reduce((sum, s) => sum + s.duration, 0) / 1000);
+  
+  return {
+    streams: [{
+      name: 'CleanStream',
+      title: `⏭️ ${skips.length} skips (${Math.floor(totalSkipTime / 60)}m ${totalSkipTime % 60}s)`,
+      // Not playable by itself: opens the skip data for players without skipSegments support
+      externalUrl: `${baseUrl}/api/skips/${id}/json?config=${encodeURIComponent(JSON.stringify(userConfig))}`,
+      skipSegments: toSkipSegments(skips),
+    }],
+  };
+}
+
+module.exports = { streamHandler, toSkipSegments };
@@ -0,0 +1,237 @@
+/**
+ * User Configuration
+ * Decodes and validates the filter settings Stremio sends in the addon URL
+ * (/{configJSON}/manifest.json, /{configJSON}/subtitles/movie/tt0133093.json, ...)
+ */
+
+const { SEVERITY_LEVELS, ACTIONS } = require('../utils/skipGenerator');
+const { CONVENIENCE_CATEGORIES } = require('../utils/mcf');
+
+// Default configuration - sensible defaults for family viewing
+// Lower threshold = more filtering (skip more content)
+const DEFAULT_CONFIG = {
+  nudity: 'low',     // Skip all nudity (low, medium, high)
+  sex: 'low',        // Skip all sexual content
+  violence: 'medium', // Skip medium+ violence
+  language: 'off',   // Don't skip language by default
+  drugs: 'off',      // Don't skip drug content by default
+  fear: 'off',       // Don't skip scary scenes by default
+  intro: 'off',      // Intros, outros, recaps and credits play unless turned on
+  outro: 'off',
+  recap: 'off',
+  credits: 'off',
+  unapproved: 'exclude', // Only use contributions a moderator (or the community) approved
+};
+
+// Categories that take a severity threshold
+const THRESHOLD_KEYS = [
+  'nudity',
+  'sex',
+  'violence',
+  'language',
+  'drugs',
+  'fear',
+  'discrimination',
+  'dispensable',
+  'commercial',
+];
+
+// Free-form string options
+const STRING_KEYS = ['release', 'subtitlesLang'];
+
+// On/off options
+const BOOLEAN_KEYS = ['maskProfanity'];
+
+// Numeric options with their allowed range (numeric strings from select inputs are accepted)
+const NUMBER_KEYS = {
+  minConfidence: { min: 0, max: 1 },
+};
+
+// Options limited to a fixed set of values
+const CHOICE_KEYS = {
+  unapproved: ['exclude', 'include'],
+  // Convenience categories are toggles rather than severity thresholds
+  ...Object.fromEntries(CONVENIENCE_CATEGORIES.map(category => [category, ['off', 'on']])),
+};
+
+/**
+ * Validate the actions option: { category: action } or { category: { severity: action } }
+ * @returns {array} List of { field, message } errors
+ */
+function validateActions(actions) {
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+    return [{ field: 'actions', message: 'Must be an object of category: action' }];
+  }
+
+  const errors = [];
+  const severities = Object.keys(SEVERITY_LEVELS).filter(s => s !== 'off');
+
+  for (const [category, rule] of Object.entries(actions)) {
+    const field = `actions.${category}`;
+    if (!THRESHOLD_KEYS.includes(category) && !CONVENIENCE_CATEGORIES.includes(category)) {
+      errors.push({ field, message: 'Unknown category' });
+    } else if (typeof rule === 'string') {
+      if (!ACTIONS.includes(rule)) {
+        errors.push({ field, message: `Must be one of: ${ACTIONS.join(', ')}` });
+      }
+    } else if (rule && typeof rule === 'object' && !Array.isArray(rule)) {
+      for (const [severity, action] of Object.entries(rule)) {
+        if (!severities.includes(severity)) {
+          errors.push({ field: `${field}.${severity}`, message: `Must be one of: ${severities.join(', ')}` });
+        } else if (!ACTIONS.includes(action)) {
+          errors.push({ field: `${field}.${severity}`, message: `Must be one of: ${ACTIONS.join(', ')}` });
+        }
+      }
+    } else {
+      errors.push({ field, message: 'Must be an action or an object of severity: action' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a decoded configuration object
+ * @param {object} config - Decoded configuration
+ * @returns {array} List of { field, message } errors (empty when valid)
+ */
+function validateUserConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [{ field: null, message: 'Configuration must be a JSON object' }];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(config)) {
+    if (THRESHOLD_KEYS.includes(key)) {
+      if (!(value in SEVERITY_LEVELS)) {
+        errors.push({ field: key, message: `Must be one of: ${Object.keys(SEVERITY_LEVELS).join(', ')}` });
+      }
+    } else if (NUMBER_KEYS[key]) {
+      const { min, max } = NUMBER_KEYS[key];
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || isNaN(number) || number < min || number > max) {
+        errors.push({ field: key, message: `Must be a number from ${min} to ${max}` });
+      }
+    } else if (CHOICE_KEYS[key]) {
+      if (!CHOICE_KEYS[key].includes(value)) {
+        errors.push({ field: key, message: `Must be one of: ${CHOICE_KEYS[key].join(', ')}` });
+      }
+    } else if (BOOLEAN_KEYS.includes(key)) {
+      if (typeof value !== 'boolean') {
+        errors.push({ field: key, message: 'Must be true or false' });
+      }
+    } else if (key === 'actions') {
+      errors.push(...validateActions(value));
+    } else if (STRING_KEYS.includes(key)) {
+      if (typeof value !== 'string') {
+        errors.push({ field: key, message: 'Must be a string' });
+      }
+    } else {
+      errors.push({ field: key, message: 'Unknown option' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Decode the config segment of an addon URL
+ * @param {string} raw - URL path segment (already URL-decoded by the router)
+ * @returns {object} { config } merged with defaults, or { errors }
+ */
+function decodeUserConfig(raw) {
+  let decoded;
+  try {
+    decoded = JSON.parse(raw);
+  } catch (e) {
+    return { errors: [{ field: null, message: 'Configuration is not valid JSON' }] };
+  }
+
+  const errors = validateUserConfig(decoded);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return { config: { ...DEFAULT_CONFIG, ...decoded } };
+}
+
+/**
+ * Parse user configuration from the Stremio config URL
+ * Lenient: anything unusable falls back to the defaults
+ */
+function parseUserConfig(config) {
+  if (!config) return { ...DEFAULT_CONFIG };
+
+  // Handle both object config and string config
+  if (typeof config === 'string') {
+    try {
+      return { ...DEFAULT_CONFIG, ...JSON.parse(config) };
+    } catch (e) {
+      return { ...DEFAULT_CONFIG };
+    }
+  }
+
+  return { ...DEFAULT_CONFIG, ...config };
+}
+
+/**
+ * Read a user config from a query string: ?config={...} (as in the addon URL) plus any
+ * config key given on its own (?violence=low, ?release=netflix, ?actions={...}), which
+ * overrides the same key in ?config=. Unset keys take the defaults, as in the addon.
+ * @param {object} query - Parsed query string
+ * @returns {object} { config, given } where given is false if no preference was passed, or { errors }
+ */
+function readQueryConfig(query = {}) {
+  const keys = [...THRESHOLD_KEYS, ...STRING_KEYS, ...BOOLEAN_KEYS, ...Object.keys(NUMBER_KEYS), ...Object.keys(CHOICE_KEYS), 'actions'];
+  let config = {};
+  
+  if (query.config !== undefined) {
+    try {
+      config = JSON.parse(query.config);
+    } catch (e) {
+      return { errors: [{ field: 'config', message: 'Configuration is not valid JSON' }] };
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { errors: [{ field: 'config', message: 'Configuration must be a JSON object' }] };
+    }
+  }
+  
+  const overrides = {};
+  for (const key of keys.filter(k => typeof query[k] === 'string')) {
+    if (key === 'actions') {
+      try {
+        overrides.actions = JSON.parse(query.actions);
+      } catch (e) {
+        return { errors: [{ field: 'actions', message: 'Must be a JSON object of category: action' }] };
+      }
+    } else if (BOOLEAN_KEYS.includes(key)) {
+      // Anything else is left as given for validation to report
+      overrides[key] = { 1: true, true: true, 0: false, false: false }[query[key]] ?? query[key];
+    } else {
+      overrides[key] = query[key];
+    }
+  }
+  
+  const merged = { ...config, ...overrides };
+  const errors = validateUserConfig(merged);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  return {
+    config: { ...DEFAULT_CONFIG, ...merged },
+    given: Object.keys(merged).length > 0,
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  THRESHOLD_KEYS,
+  NUMBER_KEYS,
+  CHOICE_KEYS,
+  validateUserConfig,
+  decodeUserConfig,
+  parseUserConfig,
+  readQueryConfig,
+};
@@ -0,0 +1,443 @@
+/**
+ * CleanStream Admin API
+ * Moderation, verification, editing and removal of segments, and the release and metadata
+ * changes that re-time them for every viewer, restricted to admins (see adminAuth.js)
+ * Every action is recorded in the audit trail under the admin's name.
+ */
+
+const express = require('express');
+
+const db = require('../database');
+const { requireAdmin } = require('./adminAuth');
+const { parseSegmentEdit, runtimeFor } = require('../utils/validation');
+const { parseContentId } = require('../utils/contentId');
+const { speedFactorFromFrameRates } = require('../utils/releases');
+
+const router = express.Router();
+
+// Moderation states a segment can be in
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+router.use(requireAdmin);
+
+/**
+ * POST /api/admin/segments/:segmentId/verify
+ * Mark a segment as verified by the calling admin
+ */
+router.post('/segments/:segmentId/verify', async (req, res) => {
+  const { segmentId } = req.params;
+
+  try {
+    const result = await db.verifySegment(segmentId, req.admin);
+    if (!result) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    await db.logAdminAction({ admin: req.admin, action: 'verify', imdbId: result.imdbId, segmentId });
+    res.json({ message: 'Segment verified', admin: req.admin, segment: result.segment });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to verify segment' });
+  }
+});
+
+/**
+ * DELETE /api/admin/segments/:segmentId/verify
+ * Withdraw a segment's verification
+ */
+router.delete('/segments/:segmentId/verify', async (req, res) => {
+  const { segmentId } = req.params;
+
+  try {
+    const result = await db.unverifySegment(segmentId);
+    if (!result) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    await db.logAdminAction({ admin: req.admin, action: 'unverify', imdbId: result.imdbId, segmentId });
+    res.json({ message: 'Segment unverified', admin: req.admin, segment: result.segment });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unverify segment' });
+  }
+});
+
+/**
+ * PATCH /api/admin/segments/:segmentId
+ * Edit a segment's times, classification, channel or comment (recorded as a revision by admin:<name>)
+ */
+router.patch('/segments/:segmentId', express.json(), async (req, res) => {
+  const { segmentId } = req.params;
+
+  try {
+    const current = await db.getSegment(segmentId);
+    if (!current) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const filterData = await db.getFilters(current.imdbId);
+    const { changes, error, ...details } = parseSegmentEdit(req.body || {}, current.segment, {
+      runtimeMs: runtimeFor(filterData, current.segment),
+    });
+    if (error) {
+      return res.status(400).json({ error, ...details });
+    }
+
+    const result = await db.updateSegment(segmentId, changes, { editor: `admin:${req.admin}` });
+    if (!result) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    await db.logAdminAction({
+      admin: req.admin,
+      action: 'edit',
+      imdbId: result.imdbId,
+      segmentId,
+      details: { revisionId: result.revision.id, before: result.revision.before, after: result.revision.after },
+    });
+
+    res.json({ message: 'Segment updated', admin: req.admin, segment: result.segment, revision: result.revision });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update segment' });
+  }
+});
+
+/**
+ * POST /api/admin/segments/:segmentId/revisions/:revisionId/revert
+ * Restore a segment to how it was before a revision (undoing it and every later edit)
+ */
+router.post('/segments/:segmentId/revisions/:revisionId/revert', async (req, res) => {
+  const { segmentId, revisionId } = req.params;
+
+  try {
+    const result = await db.revertSegment(segmentId, revisionId, { editor: `admin:${req.admin}` });
+
+    if (!result.success) {
+      const errors = {
+        not_found: [404, 'Segment not found'],
+        revision_not_found: [404, 'Revision not found'],
+        no_changes: [409, 'Segment already matches that state'],
+      };
+      const [status, error] = errors[result.reason];
+      return res.status(status).json({ error });
+    }
+
+    await db.logAdminAction({
+      admin: req.admin,
+      action: 'revert',
+      imdbId: result.imdbId,
+      segmentId,
+      details: { revisionId: result.revision.id, revertOf: revisionId, before: result.revision.before, after: result.revision.after },
+    });
+
+    res.json({ message: 'Segment reverted', admin: req.admin, segment: result.segment, revision: result.revision });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revert segment' });
+  }
+});
+
+/**
+ * DELETE /api/admin/segments/:segmentId
+ * Delete a segment
+ */
+router.delete('/segments/:segmentId', async (req, res) => {
+  const { segmentId } = req.params;
+
+  try {
+    const result = await db.deleteSegment(segmentId);
+    if (!result) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    await db.logAdminAction({
+      admin: req.admin,
+      action: 'delete',
+      imdbId: result.imdbId,
+      segmentId,
+      details: { segment: result.segment },
+    });
+
+    res.json({ message: 'Segment deleted', admin: req.admin });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete segment' });
+  }
+});
+
+/**
+ * DELETE /api/admin/contributors/:contributor/segments
+ * Delete every segment by a contributor (e.g. a spammer)
+ */
+router.delete('/contributors/:contributor/segments', async (req, res) => {
+  const { contributor } = req.params;
+
+  try {
+    const result = await db.deleteSegmentsByContributor(contributor);
+
+    for (const title of result.titles) {
+      await db.logAdminAction({
+        admin: req.admin,
+        action: 'bulk_delete',
+        imdbId: title.imdbId,
+        details: { contributor, deleted: title.deleted },
+      });
+    }
+
+    res.json({
+      message: `Deleted ${result.deleted} segments by ${contributor}`,
+      admin: req.admin,
+      ...result,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete segments' });
+  }
+});
+
+/**
+ * GET /api/admin/queue
+ * Moderation queue, oldest first
+ * Filters: ?imdbId=, ?contributor=, ?category=, ?minAgeHours=, ?maxAgeHours=,
+ * ?status= (pending by default; approved or rejected to review past decisions), ?limit=, ?offset=
+ */
+router.get('/queue', async (req, res) => {
+  const { imdbId, contributor, category } = req.query;
+  const status = req.query.status || 'pending';
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const offset = parseInt(req.query.offset) || 0;
+
+  if (!MODERATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Must be: ${MODERATION_STATUSES.join(', ')}` });
+  }
+
+  const hoursAgo = hours => new Date(Date.now() - parseFloat(hours) * 3600 * 1000);
+  const minAge = req.query.minAgeHours;
+  const maxAge = req.query.maxAgeHours;
+
+  if ([minAge, maxAge].some(h => h !== undefined && isNaN(parseFloat(h)))) {
+    return res.status(400).json({ error: 'minAgeHours and maxAgeHours must be numbers' });
+  }
+
+  try {
+    const queue = await db.listModerationQueue({
+      status,
+      imdbId,
+      contributor,
+      category,
+      createdBefore: minAge !== undefined ? hoursAgo(minAge) : undefined,
+      createdAfter: maxAge !== undefined ? hoursAgo(maxAge) : undefined,
+      limit,
+      offset,
+    });
+
+    res.json({ ...queue, count: queue.segments.length, limit, offset });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list moderation queue' });
+  }
+});
+
+/**
+ * POST /api/admin/segments/:segmentId/approve
+ * Approve a contribution so it counts towards skips (optional { reason })
+ */
+router.post('/segments/:segmentId/approve', express.json(), (req, res) => {
+  moderate(req, res, 'approved');
+});
+
+/**
+ * POST /api/admin/segments/:segmentId/reject
+ * Reject a contribution ({ reason } required)
+ */
+router.post('/segments/:segmentId/reject', express.json(), (req, res) => {
+  moderate(req, res, 'rejected');
+});
+
+/**
+ * Apply a moderation decision and record it
+ */
+async function moderate(req, res, status) {
+  const { segmentId } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() || null : null;
+
+  if (status === 'rejected' && !reason) {
+    return res.status(400).json({ error: 'A reason is required to reject a segment' });
+  }
+
+  try {
+    const result = await db.moderateSegment(segmentId, status, { moderatedBy: req.admin, reason });
+    if (!result) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    await db.logAdminAction({
+      admin: req.admin,
+      action: status === 'approved' ? 'approve' : 'reject',
+      imdbId: result.imdbId,
+      segmentId,
+      details: reason ? { reason } : undefined,
+    });
+
+    res.json({ message: `Segment ${status}`, admin: req.admin, segment: result.segment });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to moderate segment' });
+  }
+}
+
+/**
+ * POST /api/admin/releases/:imdbId
+ * Create a release, or update the one with the same name
+ */
+router.post('/releases/:imdbId', express.json(), async (req, res) => {
+  const { imdbId } = parseContentId(req.params.imdbId);
+  const { data, error } = parseReleaseBody(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!data.name) {
+    return res.status(400).json({ error: 'Missing required fields', required: ['name'] });
+  }
+
+  try {
+    const release = await db.upsertRelease(imdbId, data);
+
+    await db.logAdminAction({ admin: req.admin, action: 'release_save', imdbId, details: { release } });
+    res.status(201).json({ message: 'Release saved', admin: req.admin, release });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save release' });
+  }
+});
+
+/**
+ * PUT /api/admin/releases/:imdbId/:releaseId
+ * Update a release's name or timing
+ */
+router.put('/releases/:imdbId/:releaseId', express.json(), async (req, res) => {
+  const { imdbId } = parseContentId(req.params.imdbId);
+  const { data, error } = parseReleaseBody(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const release = await db.updateRelease(imdbId, req.params.releaseId, data);
+    if (!release) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+
+    await db.logAdminAction({ admin: req.admin, action: 'release_update', imdbId, details: { changes: data, release } });
+    res.json({ message: 'Release updated', admin: req.admin, release });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update release' });
+  }
+});
+
+/**
+ * DELETE /api/admin/releases/:imdbId/:releaseId
+ * Delete a release that no segments are timed against
+ */
+router.delete('/releases/:imdbId/:releaseId', async (req, res) => {
+  const { imdbId } = parseContentId(req.params.imdbId);
+  const { releaseId } = req.params;
+
+  try {
+    const result = await db.deleteRelease(imdbId, releaseId);
+
+    if (result.reason === 'not_found') {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+    if (result.reason === 'in_use') {
+      return res.status(409).json({
+        error: 'Release still has segments timed against it',
+        segments: result.segments,
+      });
+    }
+
+    await db.logAdminAction({ admin: req.admin, action: 'release_delete', imdbId, details: { releaseId } });
+    res.json({ message: 'Release deleted', admin: req.admin });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete release' });
+  }
+});
+
+/**
+ * Read release fields from a request body
+ * Accepts speedFactor directly, or sourceFps/fps (numbers or film/ntsc/pal) to derive it
+ * @returns {object} { data } or { error }
+ */
+function parseReleaseBody(body) {
+  const { name, offsetMs, runtime, speedFactor, sourceFps, fps } = body;
+  const data = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return { error: 'Release name must be a non-empty string' };
+    }
+    data.name = name.trim();
+  }
+
+  if (offsetMs !== undefined) {
+    data.offsetMs = parseInt(offsetMs);
+    if (isNaN(data.offsetMs)) return { error: 'offsetMs must be an integer' };
+  }
+
+  if (runtime !== undefined) {
+    data.runtime = runtime === null ? null : parseInt(runtime);
+    if (data.runtime !== null && !(data.runtime > 0)) return { error: 'runtime must be a positive integer (ms)' };
+  }
+
+  if (speedFactor !== undefined) {
+    data.speedFactor = parseFloat(speedFactor);
+  } else if (sourceFps !== undefined || fps !== undefined) {
+    data.speedFactor = speedFactorFromFrameRates(sourceFps || 'film', fps || 'film');
+  }
+  if (data.speedFactor !== undefined && !(data.speedFactor > 0)) {
+    return { error: 'speedFactor must be a positive number' };
+  }
+
+  return { data };
+}
+
+/**
+ * PUT /api/admin/filters/:imdbId/metadata
+ * Update metadata for a movie/show
+ */
+router.put('/filters/:imdbId/metadata', express.json(), async (req, res) => {
+  const { imdbId } = req.params;
+  const { title, year, type, runtime } = req.body || {};
+
+  const metadata = {};
+  if (title) metadata.title = title;
+  if (year) metadata.year = parseInt(year);
+  if (type) metadata.type = type;
+  if (runtime !== undefined) {
+    metadata.runtime = runtime === null ? null : parseInt(runtime);
+    if (metadata.runtime !== null && !(metadata.runtime > 0)) {
+      return res.status(400).json({ error: 'runtime must be a positive integer (ms)' });
+    }
+  }
+
+  try {
+    const filterData = await db.updateTitleMetadata(imdbId, metadata);
+
+    await db.logAdminAction({ admin: req.admin, action: 'metadata', imdbId, details: { metadata } });
+    res.json({ message: 'Metadata updated', admin: req.admin, filterData });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update metadata' });
+  }
+});
+
+/**
+ * GET /api/admin/actions
+ * Audit trail of admin actions, newest first (?admin=, ?imdbId=, ?limit=)
+ */
+router.get('/actions', async (req, res) => {
+  const { admin, imdbId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  try {
+    const actions = await db.listAdminActions({ admin, imdbId, limit });
+    res.json({ actions, count: actions.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list admin actions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Admin Authentication
+ *
+ * Admins are configured as name:token pairs in ADMIN_TOKENS
+ * (e.g. ADMIN_TOKENS=alice:s3cret,bob:hunter2) and authenticate with either
+ *   Authorization: Bearer <token>
+ *   X-API-Key: <token>
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse ADMIN_TOKENS into a list of { name, digest }
+ */
+function loadAdminTokens() {
+  return (process.env.ADMIN_TOKENS || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf(':');
+      return index > 0
+        ? { name: pair.slice(0, index), digest: digest(pair.slice(index + 1)) }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * SHA-256 of a token, so comparisons run on equal-length buffers
+ */
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Resolve the admin a token belongs to
+ * @returns {string|null} Admin name or null if the token is unknown
+ */
+function findAdmin(token) {
+  if (!token) return null;
+
+  const given = digest(token);
+  const match = loadAdminTokens().find(admin => crypto.timingSafeEqual(admin.digest, given));
+  return match ? match.name : null;
+}
+
+/**
+ * Require a valid admin token, setting req.admin to the admin's name
+ */
+function requireAdmin(req, res, next) {
+  if (loadAdminTokens().length === 0) {
+    return res.status(503).json({ error: 'Admin API disabled: ADMIN_TOKENS is not set' });
+  }
+
+  const auth = req.get('authorization') || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length).trim() : req.get('x-api-key');
+
+  const admin = findAdmin(token);
+  if (!admin) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+
+  req.admin = admin;
+  next();
+}
+
+module.exports = { requireAdmin, findAdmin };
@@ -0,0 +1,126 @@
+/**
+ * Rate Limiting
+ * Per-visitor limits on write routes (and routes that fetch from other servers),
+ * counted in fixed windows
+ *
+ * Counters live in Redis when it is available (shared by all replicas),
+ * otherwise in this process. Accepted requests are recorded to ApiUsage.
+ *
+ * Limits are configurable per endpoint through RATE_LIMITS, e.g.
+ *   RATE_LIMITS=contribute=10/600,vote=0
+ * sets 10 contributions per 10 minutes and disables the vote limit.
+ */
+
+const cache = require('../cache');
+const db = require('../database');
+const { getVisitorId } = require('../utils/visitor');
+
+// Requests allowed per window (in seconds), per visitor
+const DEFAULT_LIMITS = {
+  contribute: { max: 30, windowSeconds: 3600 },
+  mcf: { max: 5, windowSeconds: 3600 },
+  vote: { max: 120, windowSeconds: 3600 },
+  edit: { max: 30, windowSeconds: 3600 },
+  transcript: { max: 5, windowSeconds: 3600 },
+  subtitles: { max: 60, windowSeconds: 3600 },
+};
+
+// Sweep expired in-process counters once there are this many
+const LOCAL_SWEEP_SIZE = 10000;
+
+const limits = parseLimits(process.env.RATE_LIMITS);
+const localCounters = new Map();
+
+/**
+ * Apply RATE_LIMITS overrides (name=max/windowSeconds or name=max) to the defaults
+ */
+function parseLimits(spec) {
+  const result = {};
+  for (const [name, limit] of Object.entries(DEFAULT_LIMITS)) {
+    result[name] = { ...limit };
+  }
+
+  for (const entry of (spec || '').split(',')) {
+    const match = entry.trim().match(/^([\w-]+)=(\d+)(?:\/(\d+))?$/);
+    if (!match) {
+      if (entry.trim()) console.warn(`[CleanStream] Ignoring invalid RATE_LIMITS entry: ${entry}`);
+      continue;
+    }
+
+    const [, name, max, windowSeconds] = match;
+    result[name] = {
+      max: parseInt(max),
+      windowSeconds: windowSeconds ? parseInt(windowSeconds) : result[name]?.windowSeconds || 3600,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Count a request in this process, for when Redis is unavailable
+ */
+function incrementLocal(key, resetAt) {
+  if (localCounters.size >= LOCAL_SWEEP_SIZE) {
+    const now = Date.now();
+    for (const [k, counter] of localCounters) {
+      if (counter.resetAt <= now) localCounters.delete(k);
+    }
+  }
+
+  const counter = localCounters.get(key) || { count: 0, resetAt };
+  counter.count++;
+  localCounters.set(key, counter);
+  return counter.count;
+}
+
+/**
+ * Count a request in the current window
+ * @returns {object} { count, resetAt } where resetAt is the window end in ms
+ */
+async function hit(key, windowSeconds) {
+  const windowStart = Math.floor(Date.now() / 1000 / windowSeconds) * windowSeconds;
+  const resetAt = (windowStart + windowSeconds) * 1000;
+  const counterKey = `ratelimit:${key}:${windowStart}`;
+
+  const count = await cache.increment(counterKey, windowSeconds) ?? incrementLocal(counterKey, resetAt);
+  return { count, resetAt };
+}
+
+/**
+ * Middleware limiting how often a visitor may call an endpoint
+ * @param {string} endpoint - Key into the configured limits (contribute, mcf, vote, edit, transcript)
+ */
+function rateLimit(endpoint) {
+  return async (req, res, next) => {
+    const limit = limits[endpoint];
+    if (!limit || !limit.max) return next();
+
+    const visitorId = getVisitorId(req);
+    const { count, resetAt } = await hit(`${endpoint}:${visitorId}`, limit.windowSeconds);
+
+    res.setHeader('X-RateLimit-Limit', limit.max);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, limit.max - count));
+    res.setHeader('X-RateLimit-Reset', Math.ceil(resetAt / 1000));
+
+    if (count > limit.max) {
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({
+        error: 'Too many requests',
+        limit: limit.max,
+        windowSeconds: limit.windowSeconds,
+        retryAfter,
+      });
+    }
+
+    // Usage tracking must never hold up or fail the request
+    db.recordApiUsage(visitorId, endpoint).catch(error => {
+      console.warn('[CleanStream] Failed to record API usage:', error.message);
+    });
+
+    next();
+  };
+}
+
+module.exports = { rateLimit, parseLimits, DEFAULT_LIMITS };
@@ -1,16 +1,54 @@
 /**
  * CleanStream API Routes
  * Provides REST API for skip data, contributions, and statistics
+ * 
+ * Routes taking :imdbId also accept Stremio episode IDs (tt1234567:1:2)
+ * to address a single episode of a series
  */
 
 const express = require('express');
 const db = require('../database');
 const cache = require('../cache');
-const { generateSkips, generateSkipVTT, generateSkipJSON } = require('../utils/skipGenerator');
-const { parseMCF, generateMCF, mcfToDBSegments, dbToMCFSegments } = require('../utils/mcf');
+const {
+  generateSkips,
+  generateSkipVTT,
+  generateSkipSRT,
+  generateSkipASS,
+  generateSkipJSON,
+  generateSkipEDL,
+} = require('../utils/skipGenerator');
+const { parseMCF, generateMCF, buildMCFExport, buildMCFSkipExport, prepareMCFImport, formatTimestamp } = require('../utils/mcf');
+const { parseContentId, formatContentId } = require('../utils/contentId');
+const { findRelease } = require('../utils/releases');
+const { rateLimit } = require('./rateLimit');
+const { getVisitorId } = require('../utils/visitor');
+const { withConfidence } = require('../utils/confidence');
+const { readQueryConfig } = require('../addon/userConfig');
+const {
+  validateContribution,
+  validateContributions,
+  checkContributor,
+  parseSegmentEdit,
+  runtimeFor,
+} = require('../utils/validation');
+const {
+  MAX_SUBTITLE_BYTES,
+  parseSubtitles,
+  fetchSubtitleFile,
+  findSourceSubtitles,
+  mergeSubtitles,
+  findMaskWindows,
+  renderMergedSRT,
+  renderMergedVTT,
+} = require('../utils/subtitles');
+const { generateLanguageSegments } = require('../utils/transcriptScan');
+const { buildCutList, generateMpvEDL, generateFfconcat } = require('../utils/cutList');
 
 const router = express.Router();
 
+// Answer to community edits of approved or verified segments
+const LOCKED_SEGMENT = 'Approved and verified segments can only be edited by admins (PATCH /api/admin/segments/:segmentId)';
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -63,7 +101,8 @@ router.get('/filters', async (req, res) => {
 
 /**
  * GET /api/filters/:imdbId
- * Get raw filter data for a specific movie/show
+ * Get raw filter data for a specific movie/show (or a single episode),
+ * with each segment's confidence score
  */
 router.get('/filters/:imdbId', async (req, res) => {
   try {
@@ -74,12 +113,33 @@ router.get('/filters/:imdbId', async (req, res) => {
       return res.status(404).json({ error: 'No filter data found for this ID' });
     }
     
-    res.json(filterData);
+    const now = Date.now();
+    res.json({
+      ...filterData,
+      segments: filterData.segments.map(seg => withConfidence(seg, now)),
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get filter data' });
   }
 });
 
+/**
+ * Read the viewer's preferences for an /api/skips route, the same way for every format:
+ * ?config={...} as in the addon URL, and any config key on its own (?violence=low,
+ * ?release=netflix, ?minConfidence=0.5, ?actions={...}) overriding it; see readQueryConfig
+ * @returns {object|null} { config, given }, or null after sending a 400 for an invalid config
+ */
+function configFromQuery(req, res) {
+  const result = readQueryConfig(req.query);
+  
+  if (result.errors) {
+    res.status(400).json({ error: 'Invalid config', errors: result.errors });
+    return null;
+  }
+  
+  return result;
+}
+
 /**
  * GET /api/skips/:imdbId
  * Get processed skip data with user preferences applied
@@ -87,48 +147,10 @@ router.get('/filters/:imdbId', async (req, res) => {
 router.get('/skips/:imdbId', async (req, res) => {
   try {
     const { imdbId } = req.params;
+    const query = configFromQuery(req, res);
+    if (!query) return;
     
-    // Default config for family-friendly viewing
-    const defaultConfig = {
-      nudity: 'high',
-      sex: 'high',
-      violence: 'medium',
-      language: 'off',
-      drugs: 'off',
-      fear: 'off',
-    };
-    
-    // Parse user config from query params
-    let userConfig = { ...defaultConfig };
-    if (req.query.config) {
-      try {
-        userConfig = { ...defaultConfig, ...JSON.parse(req.query.config) };
-      } catch (e) {
-        // Use individual query params as fallback
-        userConfig = {
-          ...defaultConfig,
-          nudity: req.query.nudity || defaultConfig.nudity,
-          sex: req.query.sex || defaultConfig.sex,
-          violence: req.query.violence || defaultConfig.violence,
-          language: req.query.language || defaultConfig.language,
-          drugs: req.query.drugs || defaultConfig.drugs,
-          fear: req.query.fear || defaultConfig.fear,
-        };
-      }
-    } else if (Object.keys(req.query).some(k => ['nudity', 'sex', 'violence', 'language', 'drugs', 'fear'].includes(k))) {
-      // Individual query params provided
-      userConfig = {
-        ...defaultConfig,
-        nudity: req.query.nudity || defaultConfig.nudity,
-        sex: req.query.sex || defaultConfig.sex,
-        violence: req.query.violence || defaultConfig.violence,
-        language: req.query.language || defaultConfig.language,
-        drugs: req.query.drugs || defaultConfig.drugs,
-        fear: req.query.fear || defaultConfig.fear,
-      };
-    }
-    
-    const skips = await generateSkips(imdbId, userConfig);
+    const skips = await generateSkips(imdbId, query.config);
     const filterData = await db.getFilters(imdbId);
     
     res.json(generateSkipJSON(skips, imdbId, filterData?.metadata || {}));
@@ -143,17 +165,10 @@ router.get('/skips/:imdbId', async (req, res) => {
  */
 router.get('/skips/:imdbId/vtt', async (req, res) => {
   const { imdbId } = req.params;
+  const query = configFromQuery(req, res);
+  if (!query) return;
   
-  let userConfig = {};
-  if (req.query.config) {
-    try {
-      userConfig = JSON.parse(req.query.config);
-    } catch (e) {
-      userConfig = {};
-    }
-  }
-  
-  const skips = await generateSkips(imdbId, userConfig);
+  const skips = await generateSkips(imdbId, query.config);
   const vtt = generateSkipVTT(skips, imdbId);
   
   res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
@@ -162,188 +177,615 @@ router.get('/skips/:imdbId/vtt', async (req, res) => {
 });
 
 /**
- * GET /api/skips/:imdbId/json
- * Get skip data as JSON
+ * GET /api/skips/:imdbId/srt
+ * Get skip data as SRT subtitles, for players that don't style VTT
  */
-router.get('/skips/:imdbId/json', async (req, res) => {
+router.get('/skips/:imdbId/srt', async (req, res) => {
+  const { imdbId } = req.params;
+  const query = configFromQuery(req, res);
+  if (!query) return;
+  
+  const skips = await generateSkips(imdbId, query.config);
+  
+  res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.send(generateSkipSRT(skips));
+});
+
+/**
+ * GET /api/skips/:imdbId/ass
+ * Get skip data as ASS subtitles, with countdown warnings at the top of the screen
+ */
+router.get('/skips/:imdbId/ass', async (req, res) => {
+  const { imdbId } = req.params;
+  const query = configFromQuery(req, res);
+  if (!query) return;
+  
+  const skips = await generateSkips(imdbId, query.config);
+  
+  res.setHeader('Content-Type', 'text/x-ssa; charset=utf-8');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.send(generateSkipASS(skips, imdbId));
+});
+
+/**
+ * GET /api/skips/:imdbId/merged
+ * Dialogue subtitles with the skip warnings interleaved, as one track
+ * Source: ?url= (an SRT/VTT file), or ?lang= (default: the config's subtitlesLang) to take
+ * the first subtitles in that language from the subtitles addon.
+ * Options: ?format=srt|vtt (default srt), ?mask=1 (or maskProfanity in the config)
+ */
+router.get('/skips/:imdbId/merged', rateLimit('subtitles'), async (req, res) => {
   const { imdbId } = req.params;
+  const query = configFromQuery(req, res);
+  if (!query) return;
+  
+  const userConfig = query.config;
+  const lang = req.query.lang || userConfig.subtitlesLang;
+  let sourceUrl = req.query.url;
   
-  let userConfig = {};
-  if (req.query.config) {
-    try {
-      userConfig = JSON.parse(req.query.config);
-    } catch (e) {
-      userConfig = {};
+  if (!sourceUrl && !lang) {
+    return res.status(400).json({ error: 'Pass a source subtitle ?url= or a ?lang= to look one up' });
+  }
+  if (sourceUrl && !/^https?:\/\//i.test(sourceUrl)) {
+    return res.status(400).json({ error: 'url must be an http or https URL' });
+  }
+  
+  let source;
+  try {
+    sourceUrl = sourceUrl || await findSourceSubtitles(imdbId, lang);
+    if (!sourceUrl) {
+      return res.status(404).json({ error: `No ${lang} subtitles found for ${imdbId}` });
     }
+    source = await fetchSubtitleFile(sourceUrl);
+  } catch (error) {
+    // The cause stays in the log: echoing it would let clients probe what the server can reach
+    console.warn(`[CleanStream] Failed to fetch subtitles for ${imdbId}:`, error.message);
+    return res.status(502).json({ error: 'Failed to fetch source subtitles' });
+  }
+  
+  await sendMergedSubtitles(req, res, source, userConfig);
+});
+
+/**
+ * POST /api/skips/:imdbId/merged
+ * As GET, for an SRT/VTT file uploaded as the request body
+ */
+router.post('/skips/:imdbId/merged', rateLimit('subtitles'), express.text({ type: '*/*', limit: MAX_SUBTITLE_BYTES }), async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Upload an SRT or VTT file as the request body' });
+  }
+  
+  const query = configFromQuery(req, res);
+  if (!query) return;
+  
+  await sendMergedSubtitles(req, res, req.body, query.config);
+});
+
+/**
+ * Merge the viewer's skip warnings into source subtitles and send the result
+ */
+async function sendMergedSubtitles(req, res, source, userConfig) {
+  const { imdbId } = req.params;
+  const format = req.query.format || 'srt';
+  const mask = req.query.mask !== undefined ? ['1', 'true'].includes(req.query.mask) : !!userConfig.maskProfanity;
+  
+  if (!['srt', 'vtt'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format. Must be: srt, vtt' });
+  }
+  
+  const dialogue = parseSubtitles(source);
+  if (dialogue.length === 0) {
+    return res.status(400).json({ error: 'Source is not an SRT or VTT subtitle file' });
   }
   
   const skips = await generateSkips(imdbId, userConfig);
+  const maskWindows = mask ? await findMaskWindows(imdbId, userConfig) : [];
+  const cues = mergeSubtitles(dialogue, skips, { maskWindows });
+  
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (format === 'vtt') {
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.send(renderMergedVTT(cues, imdbId));
+  } else {
+    res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
+    res.send(renderMergedSRT(cues));
+  }
+}
+
+/**
+ * GET /api/skips/:imdbId/json
+ * Get skip data as JSON
+ */
+router.get('/skips/:imdbId/json', async (req, res) => {
+  const { imdbId } = req.params;
+  const query = configFromQuery(req, res);
+  if (!query) return;
+  
+  const skips = await generateSkips(imdbId, query.config);
   const filterData = await db.getFilters(imdbId);
   
   res.json(generateSkipJSON(skips, imdbId, filterData?.metadata || {}));
 });
 
+/**
+ * GET /api/skips/:imdbId/edl
+ * Get skip data as an EDL file for Kodi/MPlayer (skips cut, mutes muted, warnings marked)
+ */
+router.get('/skips/:imdbId/edl', async (req, res) => {
+  const { imdbId } = req.params;
+  const query = configFromQuery(req, res);
+  if (!query) return;
+  
+  const skips = await generateSkips(imdbId, query.config);
+  
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${imdbId.replace(/:/g, '_')}.edl"`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.send(generateSkipEDL(skips));
+});
+
+/**
+ * GET /api/skips/:imdbId/mpv
+ * Play the title without its skipped scenes in mpv: an EDL playlist of the kept ranges of
+ * ?media= (a local path or URL), and an audio filter silencing the mutes
+ * Returns JSON with the playlist and command line, or with ?download=1 the .edl playlist file
+ */
+router.get('/skips/:imdbId/mpv', async (req, res) => {
+  const cutList = await cutListFromQuery(req, res);
+  if (!cutList) return;
+  
+  const mpv = generateMpvEDL(cutList, req.query.media);
+  
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (['1', 'true'].includes(req.query.download)) {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.imdbId.replace(/:/g, '_')}.mpv.edl"`);
+    return res.send(mpv.file);
+  }
+  
+  res.json({ imdbId: req.params.imdbId, media: req.query.media, ...cutList, ...mpv });
+});
+
+/**
+ * GET /api/skips/:imdbId/ffmpeg
+ * Render a clean copy of ?media= with ffmpeg: a concat-demuxer script of the kept ranges
+ * and the command line running it, with the mutes silenced by a volume filter
+ * Returns JSON with the script and command line, or with ?download=1 the .ffconcat script
+ */
+router.get('/skips/:imdbId/ffmpeg', async (req, res) => {
+  const cutList = await cutListFromQuery(req, res);
+  if (!cutList) return;
+  
+  const scriptName = `${req.params.imdbId.replace(/:/g, '_')}.ffconcat`;
+  const ffmpeg = generateFfconcat(cutList, req.query.media, { scriptName });
+  
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (['1', 'true'].includes(req.query.download)) {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${scriptName}"`);
+    return res.send(ffmpeg.script);
+  }
+  
+  res.json({ imdbId: req.params.imdbId, media: req.query.media, ...cutList, ...ffmpeg });
+});
+
+/**
+ * Build the cut list for a cut-list export from ?media= and ?config=
+ * The runtime of the viewer's release (or of the title) closes the last kept range when known.
+ * @returns {object|null} The cut list, or null after sending an error
+ */
+async function cutListFromQuery(req, res) {
+  const { imdbId } = req.params;
+  const { media } = req.query;
+  
+  if (typeof media !== 'string' || !media.trim()) {
+    res.status(400).json({ error: 'Pass the video file path or URL as ?media=' });
+    return null;
+  }
+  
+  const query = configFromQuery(req, res);
+  if (!query) return null;
+  
+  const skips = await generateSkips(imdbId, query.config);
+  const filterData = await db.getFilters(imdbId);
+  const release = findRelease(filterData?.releases || [], query.config.release);
+  const runtimeMs = parseContentId(imdbId).season !== null ? null : release?.runtime || filterData?.runtime || null;
+  
+  return buildCutList(skips, runtimeMs);
+}
+
 /**
  * GET /api/skips/:imdbId/mcf
  * Get skip data in MCF format
+ * With preferences (?config= or any config key) the file holds what the viewer's profile
+ * would skip or mute, timed to their release. Without, it holds every segment stored for the
+ * ID: a title's own, an episode's, or with ?season= on a title ID that season's patterns,
+ * and importing it gives back those segments.
  */
 router.get('/skips/:imdbId/mcf', async (req, res) => {
   const { imdbId } = req.params;
-  const filterData = await db.getFilters(imdbId);
+  const ref = parseContentId(imdbId);
+  const query = configFromQuery(req, res);
+  if (!query) return;
+  
+  let season = ref.season;
+  if (season === null && req.query.season !== undefined) {
+    if (!/^\d+$/.test(req.query.season)) {
+      return res.status(400).json({ error: 'season must be a whole number' });
+    }
+    if (query.given) {
+      return res.status(400).json({ error: 'season only applies to full exports, without preferences' });
+    }
+    season = parseInt(req.query.season);
+  }
+  
+  const filterData = await db.getFilters(ref.imdbId);
   
   if (!filterData) {
     return res.status(404).json({ error: 'No filter data found for this ID' });
   }
   
-  const mcfData = {
-    metadata: {
-      title: filterData.title,
-      year: filterData.year,
-      type: filterData.type,
-      imdb: `https://www.imdb.com/title/${imdbId}/`,
-    },
-    markers: {
-      start: 0,
-      end: null,
-    },
-    segments: dbToMCFSegments(filterData.segments),
-  };
-  
-  const mcf = generateMCF(mcfData);
+  const scope = { imdbId: ref.imdbId, season, episode: ref.episode };
+  const mcfData = query.given
+    ? buildMCFSkipExport(filterData, await generateSkips(imdbId, query.config, { merge: false }), {
+      ...scope,
+      release: findRelease(filterData.releases || [], query.config.release),
+    })
+    : buildMCFExport(filterData, { ...scope, markers: await db.getMarkers(imdbId) });
   
+  const filename = season !== null && ref.episode === null ? `${ref.imdbId}_s${season}` : imdbId.replace(/:/g, '_');
   res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-  res.setHeader('Content-Disposition', `attachment; filename="${imdbId}.mcf"`);
-  res.send(mcf);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.mcf"`);
+  res.send(generateMCF(mcfData));
 });
 
 /**
  * POST /api/contribute/:imdbId
  * Add a new skip segment (community contribution)
+ * Episodes are addressed by ID (tt1234567:1:2) or by season/episode in the body
+ * The segment waits in the moderation queue until approved
  */
-router.post('/contribute/:imdbId', express.json(), (req, res) => {
+router.post('/contribute/:imdbId', rateLimit('contribute'), express.json(), async (req, res) => {
   const { imdbId } = req.params;
-  const { startMs, endMs, category, subcategory, severity, channel, comment, contributor } = req.body;
+  const { contributor, release } = req.body || {};
+  const ref = parseContentId(imdbId);
   
-  // Validate required fields
-  if (!startMs || !endMs || !category || !severity) {
-    return res.status(400).json({
-      error: 'Missing required fields',
-      required: ['startMs', 'endMs', 'category', 'severity'],
+  try {
+    const filterData = await db.getFilters(ref.imdbId);
+    
+    // Times may be given against a specific release (ID or name) of the title
+    let releaseId = null;
+    if (release) {
+      const releases = filterData?.releases || [];
+      const anchor = findRelease(releases, release);
+      if (!anchor) {
+        return res.status(400).json({ error: 'Unknown release', releases: releases.map(r => r.name) });
+      }
+      releaseId = anchor.id;
+    }
+    
+    const input = { ...req.body, season: ref.season ?? req.body?.season, episode: ref.episode ?? req.body?.episode };
+    const { valid, segment, errors, warnings } = validateContribution(input, {
+      runtimeMs: runtimeFor(filterData, { season: input.season ?? null, releaseId }),
+      existing: filterData?.segments || [],
+      releaseId,
     });
+    
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid segment', errors });
+    }
+    
+    const added = await db.addSegment(imdbId, {
+      ...segment,
+      contributor: contributor ? contributor.trim() : 'anonymous',
+      releaseId,
+      status: 'pending',
+    });
+    
+    res.status(201).json({
+      message: 'Segment submitted for review',
+      segment: added,
+      warnings,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add segment' });
   }
-  
-  // Validate severity
-  if (!['low', 'medium', 'high'].includes(severity)) {
-    return res.status(400).json({ error: 'Invalid severity. Must be: low, medium, or high' });
-  }
-  
-  // Validate category
-  const validCategories = ['nudity', 'sex', 'violence', 'language', 'drugs', 'fear', 'discrimination', 'dispensable', 'commercial'];
-  if (!validCategories.includes(category)) {
-    return res.status(400).json({ error: 'Invalid category', validCategories });
-  }
-  
-  // Add the segment
-  const segment = db.addSegment(imdbId, {
-    startMs: parseInt(startMs),
-    endMs: parseInt(endMs),
-    category,
-    subcategory: subcategory || category,
-    severity,
-    channel: channel || 'both',
-    comment: comment || null,
-    contributor: contributor || 'anonymous',
-  });
-  
-  res.status(201).json({
-    message: 'Segment added successfully',
-    segment,
-  });
 });
 
 /**
  * POST /api/contribute/:imdbId/mcf
  * Import an MCF file (bulk contribution)
+ * The file's SEASON/EPISODE notes apply when the ID doesn't name an episode
+ * Imported segments wait in the moderation queue until approved
  */
-router.post('/contribute/:imdbId/mcf', express.text({ type: '*/*' }), (req, res) => {
-  const { imdbId } = req.params;
+router.post('/contribute/:imdbId/mcf', rateLimit('mcf'), express.text({ type: '*/*' }), async (req, res) => {
+  const ref = parseContentId(req.params.imdbId);
   
+  let mcfData;
   try {
-    const mcfData = parseMCF(req.body);
-    const segments = mcfToDBSegments(mcfData.segments);
-    
-    // Get or create filter data
-    let filterData = db.getFilters(imdbId) || db.createEmptyFilterData(imdbId);
+    mcfData = parseMCF(typeof req.body === 'string' ? req.body : '');
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid MCF format: ${error.message}`, errors: error.errors });
+  }
+  
+  const { contributor } = req.query;
+  const contributorProblem = contributor ? checkContributor(contributor) : null;
+  if (contributorProblem) {
+    return res.status(400).json({ error: contributorProblem });
+  }
+  
+  const season = ref.season ?? mcfData.metadata.season ?? null;
+  const episode = ref.episode ?? mcfData.metadata.episode ?? null;
+  const id = formatContentId(ref.imdbId, season, episode);
+  
+  try {
+    const filterData = await db.getFilters(ref.imdbId);
+    const markers = await db.getMarkers(id);
     
-    // Update metadata if provided
-    if (mcfData.metadata) {
-      filterData.title = mcfData.metadata.title || filterData.title;
-      filterData.year = mcfData.metadata.year || filterData.year;
-      filterData.type = mcfData.metadata.type || filterData.type;
+    // Timings are rescaled to the title's START/END markers, or anchored to the file's RELEASE
+    const prepared = prepareMCFImport(mcfData, { markers, releases: filterData?.releases || [] });
+    if (prepared.error) {
+      return res.status(400).json(prepared);
     }
+    const segments = prepared.segments.map(seg => ({ ...seg, season, episode }));
     
-    // Add all segments
-    let addedCount = 0;
-    for (const seg of segments) {
-      db.addSegment(imdbId, {
-        ...seg,
-        contributor: req.query.contributor || 'mcf-import',
+    // The whole file is rejected if any of its segments is invalid
+    const checked = validateContributions(segments, {
+      runtimeMs: runtimeFor(filterData, { season, releaseId: prepared.releaseId }),
+      existing: filterData?.segments || [],
+      releaseId: prepared.releaseId,
+    });
+    if (!checked.valid) {
+      return res.status(400).json({
+        error: 'Invalid segments in MCF',
+        errors: checked.errors.map(e => ({ ...e, time: formatTimestamp(segments[e.index].startMs || 0) })),
       });
-      addedCount++;
+    }
+    
+    const result = await db.bulkImportSegments(id, checked.segments.map(seg => ({
+      ...seg,
+      contributor: contributor ? contributor.trim() : 'mcf-import',
+      releaseId: prepared.releaseId,
+      status: 'pending',
+    })), {
+      title: mcfData.metadata.title,
+      year: mcfData.metadata.year,
+      type: mcfData.metadata.type || (season !== null ? 'series' : undefined),
+    });
+    
+    // The first file with markers sets the title's
+    if (prepared.storeMarkers) {
+      await db.setMarkers(id, mcfData.markers);
     }
     
     res.status(201).json({
-      message: 'MCF imported successfully',
-      segmentsAdded: addedCount,
+      message: 'MCF imported, segments submitted for review',
+      segmentsAdded: result.imported,
+      season,
+      episode,
+      warnings: checked.warnings,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to import MCF' });
+  }
+});
+
+/**
+ * POST /api/contribute/:imdbId/transcript
+ * Generate language segments from an SRT/VTT file (the request body) and the profanity wordlist
+ * Segments are machine-generated and wait in the moderation queue.
+ * Options: ?release= (release the subtitles are timed to), ?dryRun=1 (only return the segments)
+ */
+router.post('/contribute/:imdbId/transcript', rateLimit('transcript'), express.text({ type: '*/*', limit: MAX_SUBTITLE_BYTES }), async (req, res) => {
+  const { imdbId } = req.params;
+  const dryRun = ['1', 'true'].includes(req.query.dryRun);
+  
+  const cues = typeof req.body === 'string' ? parseSubtitles(req.body) : [];
+  if (cues.length === 0) {
+    return res.status(400).json({ error: 'Upload an SRT or VTT file as the request body' });
+  }
+  
+  try {
+    const result = await generateLanguageSegments(imdbId, cues, { release: req.query.release, dryRun });
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? `Found ${result.segments.length} language segments`
+        : 'Language segments generated, submitted for review',
+      cues: cues.length,
+      ...result,
     });
   } catch (error) {
-    res.status(400).json({ error: `Invalid MCF format: ${error.message}` });
+    res.status(500).json({ error: 'Failed to generate language segments' });
   }
 });
 
 /**
  * POST /api/vote/:imdbId/:segmentId
  * Vote on a segment (for community moderation)
+ * Each visitor (X-Visitor-Token header, else hashed IP) has one vote per segment;
+ * voting again with the other value changes it
  */
-router.post('/vote/:imdbId/:segmentId', express.json(), (req, res) => {
-  const { imdbId, segmentId } = req.params;
-  const { vote } = req.body; // 'up' or 'down'
+router.post('/vote/:imdbId/:segmentId', rateLimit('vote'), express.json(), async (req, res) => {
+  const { vote } = req.body || {}; // 'up' or 'down'
   
   if (!['up', 'down'].includes(vote)) {
     return res.status(400).json({ error: 'Vote must be "up" or "down"' });
   }
   
-  const success = db.voteSegment(imdbId, segmentId, vote);
+  await castVote(req, res, vote);
+});
+
+/**
+ * DELETE /api/vote/:imdbId/:segmentId
+ * Retract the visitor's vote on a segment
+ */
+router.delete('/vote/:imdbId/:segmentId', rateLimit('vote'), async (req, res) => {
+  await castVote(req, res, null);
+});
+
+/**
+ * Record a visitor's vote (null retracts it) and respond with the resulting tallies
+ */
+async function castVote(req, res, vote) {
+  const { imdbId, segmentId } = req.params;
+  const visitorId = getVisitorId(req, { token: true });
   
-  if (!success) {
-    return res.status(404).json({ error: 'Segment not found' });
+  try {
+    const result = await db.voteSegment(imdbId, segmentId, vote, visitorId);
+    
+    if (!result.success) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    
+    let message = vote ? 'Vote recorded' : 'Vote retracted';
+    if (!result.changed) {
+      message = vote ? 'Already voted' : 'No vote to retract';
+    }
+    
+    res.json({
+      message,
+      changed: result.changed,
+      vote: result.vote,
+      votes: result.votes,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to record vote' });
   }
+}
+
+/**
+ * PATCH /api/segments/:segmentId
+ * Correct a pending segment's times, category, subcategory, severity, channel or comment
+ * Every edit is kept as a revision, so the original contribution can always be restored
+ * Body: the fields to change, plus an optional editor name
+ */
+router.patch('/segments/:segmentId', rateLimit('edit'), express.json(), async (req, res) => {
+  const { segmentId } = req.params;
   
-  res.json({ message: 'Vote recorded' });
+  try {
+    const current = await db.getSegment(segmentId);
+    if (!current) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    if (isLocked(current.segment)) {
+      return res.status(403).json({ error: LOCKED_SEGMENT });
+    }
+    
+    const filterData = await db.getFilters(current.imdbId);
+    const { changes, error, ...details } = parseSegmentEdit(req.body || {}, current.segment, {
+      runtimeMs: runtimeFor(filterData, current.segment),
+    });
+    if (error) {
+      return res.status(400).json({ error, ...details });
+    }
+    
+    const result = await db.updateSegment(segmentId, changes, revisionAuthor(req));
+    
+    res.json({ message: 'Segment updated', segment: result.segment, revision: withoutVisitor(result.revision) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update segment' });
+  }
 });
 
 /**
- * PUT /api/filters/:imdbId/metadata
- * Update metadata for a movie/show
+ * GET /api/segments/:segmentId/revisions
+ * Edit history of a segment, oldest first
  */
-router.put('/filters/:imdbId/metadata', express.json(), (req, res) => {
-  const { imdbId } = req.params;
-  const { title, year, type } = req.body;
-  
-  let filterData = db.getFilters(imdbId);
-  
-  if (!filterData) {
-    filterData = db.createEmptyFilterData(imdbId);
+router.get('/segments/:segmentId/revisions', async (req, res) => {
+  try {
+    const history = await db.listRevisions(req.params.segmentId);
+    if (!history) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    
+    const revisions = history.revisions.map(withoutVisitor);
+    
+    res.json({
+      segmentId: req.params.segmentId,
+      imdbId: history.imdbId,
+      count: revisions.length,
+      revisions,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list revisions' });
   }
+});
+
+/**
+ * POST /api/segments/:segmentId/revisions/:revisionId/revert
+ * Restore a pending segment to how it was before a revision (undoing it and every later edit)
+ * Body: optional editor name
+ */
+router.post('/segments/:segmentId/revisions/:revisionId/revert', rateLimit('edit'), express.json(), async (req, res) => {
+  const { segmentId, revisionId } = req.params;
   
-  if (title) filterData.title = title;
-  if (year) filterData.year = parseInt(year);
-  if (type) filterData.type = type;
-  
-  filterData.updatedAt = new Date().toISOString();
-  db.saveFilters(imdbId, filterData);
-  
-  res.json({ message: 'Metadata updated', filterData });
+  try {
+    const current = await db.getSegment(segmentId);
+    if (current && isLocked(current.segment)) {
+      return res.status(403).json({ error: LOCKED_SEGMENT });
+    }
+    
+    const result = await db.revertSegment(segmentId, revisionId, revisionAuthor(req));
+    
+    if (!result.success) {
+      const errors = {
+        not_found: [404, 'Segment not found'],
+        revision_not_found: [404, 'Revision not found'],
+        no_changes: [409, 'Segment already matches that state'],
+      };
+      const [status, error] = errors[result.reason];
+      return res.status(status).json({ error });
+    }
+    
+    res.json({ message: 'Segment reverted', segment: result.segment, revision: withoutVisitor(result.revision) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revert segment' });
+  }
+});
+
+/**
+ * Whether a segment is closed to community edits
+ * Approved and verified segments already reach every viewer, so only admins change them
+ */
+function isLocked(segment) {
+  return segment.status !== 'pending' || !!segment.verified;
+}
+
+/**
+ * A revision as published: hashed visitor IDs are for abuse handling, not for publishing
+ */
+function withoutVisitor({ visitorId, ...revision }) {
+  return revision;
+}
+
+/**
+ * Who a revision is attributed to: the editor name given in the body, plus the hashed visitor
+ */
+function revisionAuthor(req) {
+  const { editor } = req.body || {};
+  return {
+    editor: typeof editor === 'string' && editor.trim() ? editor.trim().substring(0, 100) : 'anonymous',
+    visitorId: getVisitorId(req, { token: true }),
+  };
+}
+
+/**
+ * GET /api/releases/:imdbId
+ * List the releases (cuts, streaming versions) of a title
+ */
+router.get('/releases/:imdbId', async (req, res) => {
+  try {
+    const { imdbId } = parseContentId(req.params.imdbId);
+    const releases = await db.listReleases(imdbId);
+    res.json({ imdbId, count: releases.length, releases });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list releases' });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,248 @@
+/**
+ * SponsorBlock-compatible API
+ * Serves CleanStream segments in the shape of the SponsorBlock API, so existing SponsorBlock
+ * player scripts (mpv, Kodi, ...) can use a CleanStream server as their SponsorBlock server
+ *
+ * The videoID is an IMDB ID, or tt1234567:1:2 for a series episode. CleanStream categories
+ * map to SponsorBlock ones where there is an equivalent (SPONSORBLOCK_CATEGORIES); the
+ * content categories keep their own names, so a client can ask for e.g. ["nudity","violence"].
+ * Skips become actionType "skip" and mutes "mute"; warnings have no SponsorBlock action and
+ * are left out.
+ *
+ *   GET /api/skipSegments?videoID=tt0133093&categories=["violence","intro"]&actionTypes=["skip","mute"]
+ *   GET /api/skipSegments/:sha256HashPrefix (privacy variant: matches sha256(videoID) by prefix)
+ *
+ * ?config= takes a CleanStream user config (release, minConfidence, unapproved, actions and
+ * per-category thresholds, which default to low).
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const db = require('../database');
+const cache = require('../cache');
+const { generateSkips } = require('../utils/skipGenerator');
+const { parseContentId, formatContentId } = require('../utils/contentId');
+const { findRelease } = require('../utils/releases');
+const { VALID_CATEGORIES } = require('../utils/validation');
+const { validateUserConfig } = require('../addon/userConfig');
+
+const router = express.Router();
+
+// SponsorBlock category for CleanStream categories that have one
+const SPONSORBLOCK_CATEGORIES = {
+  intro: 'intro',
+  outro: 'outro',
+  credits: 'outro',
+  recap: 'preview',
+  commercial: 'sponsor',
+  dispensable: 'filler',
+};
+
+// CleanStream categories served through this API
+const CATEGORIES = [...new Set([...VALID_CATEGORIES, ...Object.keys(SPONSORBLOCK_CATEGORIES)])];
+
+// SponsorBlock action type for each skip action
+const ACTION_TYPES = {
+  skip: 'skip',
+  mute: 'mute',
+};
+
+/**
+ * SponsorBlock name of a CleanStream category
+ */
+function toSponsorBlockCategory(category) {
+  return SPONSORBLOCK_CATEGORIES[category] || category;
+}
+
+/**
+ * Read a list parameter given as a JSON array (categories=["a","b"]) or repeated (category=a&category=b)
+ * @returns {array|null} The values, or null if the parameter wasn't given
+ */
+function listParam(query, plural, singular) {
+  if (query[plural] !== undefined) {
+    try {
+      const values = JSON.parse(query[plural]);
+      return Array.isArray(values) ? values.map(String) : [String(values)];
+    } catch (e) {
+      return [String(query[plural])];
+    }
+  }
+  if (query[singular] !== undefined) {
+    return [].concat(query[singular]).map(String);
+  }
+  return null;
+}
+
+/**
+ * Read the request's filters
+ * @returns {object} { categories, actionTypes, config } with CleanStream category names, or { errors }
+ *   for a ?config= that isn't a valid user config
+ */
+function readFilters(query) {
+  const requested = listParam(query, 'categories', 'category');
+  const actionTypes = listParam(query, 'actionTypes', 'actionType') || Object.values(ACTION_TYPES);
+
+  // Unlike /api/skips, categories left out of the config aren't given the addon's defaults
+  let config = {};
+  if (query.config !== undefined) {
+    try {
+      config = JSON.parse(query.config);
+    } catch (e) {
+      return { errors: [{ field: 'config', message: 'Configuration is not valid JSON' }] };
+    }
+    const errors = validateUserConfig(config);
+    if (errors.length > 0) {
+      return { errors };
+    }
+  }
+
+  // Without categories, everything CleanStream knows about
+  const categories = requested
+    ? CATEGORIES.filter(c => requested.includes(toSponsorBlockCategory(c)))
+    : CATEGORIES;
+
+  return { categories, actionTypes, config };
+}
+
+/**
+ * Build a video's segments in SponsorBlock's shape
+ * Each category is generated on its own, so overlapping skips of different categories stay apart.
+ * @param {string} videoID - IMDB ID, or tt1234567:1:2 for an episode
+ * @param {object} filters - From readFilters
+ * @returns {array} [{ category, actionType, segment, UUID, videoDuration, locked, votes, description }]
+ */
+async function buildSegments(videoID, { categories, actionTypes, config }) {
+  const ref = parseContentId(videoID);
+  const filterData = await db.getFilters(videoID);
+  if (!filterData?.segments?.length) return [];
+
+  const { release, unapproved, minConfidence, actions } = config;
+  const stored = new Map(filterData.segments.map(s => [s.id, s]));
+  const target = findRelease(filterData.releases || [], release);
+  const runtimeMs = ref.season !== null ? null : target?.runtime || filterData.runtime || null;
+
+  const segments = [];
+  for (const category of categories) {
+    const skips = await generateSkips(videoID, {
+      release,
+      unapproved,
+      minConfidence,
+      actions,
+      [category]: config[category] || 'low',
+    });
+
+    for (const skip of skips) {
+      const actionType = ACTION_TYPES[skip.action];
+      if (!actionType || !actionTypes.includes(actionType)) continue;
+
+      const segment = stored.get(skip.id);
+      segments.push({
+        category: toSponsorBlockCategory(category),
+        actionType,
+        segment: [skip.startMs / 1000, skip.endMs / 1000],
+        UUID: skip.id,
+        videoDuration: runtimeMs ? runtimeMs / 1000 : 0,
+        locked: segment?.verified ? 1 : 0,
+        votes: (segment?.votes?.up || 0) - (segment?.votes?.down || 0),
+        description: skip.description,
+      });
+    }
+  }
+
+  return segments.sort((a, b) => a.segment[0] - b.segment[0]);
+}
+
+/**
+ * Every video ID with segments (titles and their episodes), with its SHA-256 hash
+ */
+async function listVideoHashes() {
+  return cache.remember(cache.keys.titles('sponsorblock-hashes'), cache.CACHE_TTL.titles, async () => {
+    const ids = new Set();
+
+    for (let offset = 0; ; offset += 100) {
+      const page = await db.listTitles({ limit: 100, offset });
+      for (const { imdbId } of page) {
+        ids.add(imdbId);
+        const filterData = await db.getFilters(imdbId);
+        for (const seg of filterData?.segments || []) {
+          if (seg.season !== null && seg.season !== undefined) {
+            ids.add(formatContentId(imdbId, seg.season, seg.episode));
+          }
+        }
+      }
+      if (page.length < 100) break;
+    }
+
+    return [...ids].map(videoID => ({
+      videoID,
+      hash: crypto.createHash('sha256').update(videoID).digest('hex'),
+    }));
+  });
+}
+
+/**
+ * GET /api/skipSegments
+ * Segments of one video (?videoID=)
+ */
+router.get('/skipSegments', async (req, res) => {
+  const { videoID } = req.query;
+
+  if (typeof videoID !== 'string' || !/^tt\d+(:\d+:\d+)?$/.test(videoID)) {
+    return res.status(400).send('videoID must be an IMDB ID (tt1234567 or tt1234567:season:episode)');
+  }
+
+  const filters = readFilters(req.query);
+  if (filters.errors) {
+    return res.status(400).json({ error: 'Invalid config', errors: filters.errors });
+  }
+
+  try {
+    const segments = await buildSegments(videoID, filters);
+    if (segments.length === 0) {
+      return res.status(404).send('Not Found');
+    }
+    res.json(segments);
+  } catch (error) {
+    res.status(500).send('Failed to get segments');
+  }
+});
+
+/**
+ * GET /api/skipSegments/:hashPrefix
+ * Segments of every video whose sha256(videoID) starts with the prefix (4 to 64 hex characters)
+ */
+router.get('/skipSegments/:hashPrefix', async (req, res) => {
+  const prefix = req.params.hashPrefix.toLowerCase();
+
+  if (!/^[0-9a-f]{4,64}$/.test(prefix)) {
+    return res.status(400).send('Hash prefix must be 4 to 64 hexadecimal characters');
+  }
+
+  const filters = readFilters(req.query);
+  if (filters.errors) {
+    return res.status(400).json({ error: 'Invalid config', errors: filters.errors });
+  }
+
+  try {
+    const videos = [];
+
+    for (const { videoID, hash } of await listVideoHashes()) {
+      if (!hash.startsWith(prefix)) continue;
+
+      const segments = await buildSegments(videoID, filters);
+      if (segments.length > 0) {
+        videos.push({ videoID, hash, segments });
+      }
+    }
+
+    if (videos.length === 0) {
+      return res.status(404).send('Not Found');
+    }
+    res.json(videos);
+  } catch (error) {
+    res.status(500).send('Failed to get segments');
+  }
+});
+
+module.exports = router;
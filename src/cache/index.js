@@ -1,11 +1,14 @@
 /**
- * Redis Cache Module
+ * Cache Module
  * 
  * Provides caching layer for skip data to reduce database load
- * Falls back gracefully when Redis is unavailable
+ * Two tiers: a bounded in-process LRU (L1) in front of Redis (L2).
+ * Without Redis the in-process tier caches on its own.
  */
 
+const crypto = require('crypto');
 const Redis = require('ioredis');
+const { createMemoryCache } = require('./memory');
 
 let redis = null;
 let isConnected = false;
@@ -18,6 +21,19 @@ const CACHE_TTL = {
   titles: 600,        // 10 min for title lists
 };
 
+// In front of Redis, L1 entries live briefly: other replicas' invalidations don't reach them
+const L1_TTL = parseInt(process.env.CACHE_L1_TTL) || 30;
+
+// Entry limit for the in-process tier (0 disables it)
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES);
+
+const memory = createMemoryCache({
+  maxEntries: isNaN(MAX_ENTRIES) ? 5000 : MAX_ENTRIES,
+});
+
+// Redis hit/miss counters (the memory tier keeps its own)
+const redisCounters = { hits: 0, misses: 0 };
+
 /**
  * Initialize Redis connection
  */
@@ -25,7 +41,7 @@ async function initialize() {
   const redisUrl = process.env.REDIS_URL;
   
   if (!redisUrl) {
-    console.log('[Cache] REDIS_URL not set, caching disabled');
+    console.log('[Cache] REDIS_URL not set, using in-process cache only');
     return false;
   }
   
@@ -69,25 +85,39 @@ async function initialize() {
 }
 
 /**
- * Check if cache is available
+ * Check if Redis is connected
  */
-function isAvailable() {
+function isRedisAvailable() {
   return isConnected && redis !== null;
 }
 
 /**
- * Get value from cache
+ * Check if any cache tier is available
+ */
+function isAvailable() {
+  return isRedisAvailable() || memory.stats().maxEntries > 0;
+}
+
+/**
+ * Get value from cache, trying the in-process tier before Redis
  * @param {string} key Cache key
  * @returns {any|null} Cached value or null
  */
 async function get(key) {
-  if (!isAvailable()) return null;
+  const local = memory.get(key);
+  if (local !== null) return local;
+  
+  if (!isRedisAvailable()) return null;
   
   try {
     const value = await redis.get(key);
     if (value) {
-      return JSON.parse(value);
+      redisCounters.hits++;
+      const parsed = JSON.parse(value);
+      memory.set(key, parsed, L1_TTL);
+      return parsed;
     }
+    redisCounters.misses++;
     return null;
   } catch (error) {
     console.warn('[Cache] Get error:', error.message);
@@ -102,7 +132,11 @@ async function get(key) {
  * @param {number} ttl TTL in seconds (optional)
  */
 async function set(key, value, ttl = CACHE_TTL.filters) {
-  if (!isAvailable()) return false;
+  if (!isRedisAvailable()) {
+    return memory.set(key, value, ttl);
+  }
+  
+  memory.set(key, value, Math.min(ttl, L1_TTL));
   
   try {
     await redis.setex(key, ttl, JSON.stringify(value));
@@ -118,7 +152,8 @@ async function set(key, value, ttl = CACHE_TTL.filters) {
  * @param {string} key Cache key
  */
 async function del(key) {
-  if (!isAvailable()) return false;
+  memory.del(key);
+  if (!isRedisAvailable()) return true;
   
   try {
     await redis.del(key);
@@ -131,15 +166,19 @@ async function del(key) {
 
 /**
  * Delete multiple keys by pattern
+ * Uses SCAN rather than the blocking KEYS command
  * @param {string} pattern Key pattern (e.g., "filters:*")
  */
 async function delPattern(pattern) {
-  if (!isAvailable()) return false;
+  memory.delPattern(pattern);
+  if (!isRedisAvailable()) return true;
   
   try {
-    const keys = await redis.keys(pattern);
-    if (keys.length > 0) {
-      await redis.del(...keys);
+    const stream = redis.scanStream({ match: pattern, count: 100 });
+    for await (const keys of stream) {
+      if (keys.length > 0) {
+        await redis.unlink(...keys);
+      }
     }
     return true;
   } catch (error) {
@@ -149,12 +188,77 @@ async function delPattern(pattern) {
 }
 
 /**
- * Invalidate cache for a specific IMDB ID
+ * Atomically increment a Redis counter and (re)set its TTL
+ * @param {string} key Counter key
+ * @param {number} ttl TTL in seconds
+ * @returns {number|null} New count, or null when Redis is unavailable
+ */
+async function increment(key, ttl) {
+  if (!isRedisAvailable()) return null;
+  
+  try {
+    const [[, count]] = await redis.multi().incr(key).expire(key, ttl).exec();
+    return count;
+  } catch (error) {
+    console.warn('[Cache] Increment error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Read-through helper: return the cached value, or compute, cache and return it
+ * @param {string} key Cache key
+ * @param {number} ttl TTL in seconds
+ * @param {Function} compute Async function producing the value
+ */
+async function remember(key, ttl, compute) {
+  const cached = await get(key);
+  if (cached !== null) return cached;
+  
+  const value = await compute();
+  
+  // Don't cache misses, the title may be contributed any moment
+  if (value !== null && value !== undefined) {
+    await set(key, value, ttl);
+  }
+  return value;
+}
+
+/**
+ * Invalidate cache for a specific IMDB ID (the title and all its episodes)
  * @param {string} imdbId IMDB ID
+ * @param {object} options { skips } set false when only raw filter data changed
+ */
+async function invalidateTitle(imdbId, { skips = true } = {}) {
+  // Exact key plus episode keys, so tt1234567 doesn't also clear tt12345678
+  await del(keys.filters(imdbId));
+  await delPattern(`${keys.filters(imdbId)}:*`);
+  
+  if (skips) {
+    await delPattern(`skips:${imdbId}:*`);
+  }
+}
+
+/**
+ * Invalidate cached title lists and global stats
  */
-async function invalidateTitle(imdbId) {
-  await delPattern(`filters:${imdbId}*`);
-  await delPattern(`skips:${imdbId}*`);
+async function invalidateLists() {
+  await del(keys.stats());
+  await delPattern('titles:list:*');
+}
+
+/**
+ * Canonical hash of a user config, so equivalent configs share cache entries
+ * Keys are sorted; undefined values are dropped
+ * @param {object} config User config (after defaults are applied)
+ */
+function hashConfig(config) {
+  const canonical = Object.keys(config)
+    .filter(key => config[key] !== undefined)
+    .sort()
+    .map(key => [key, config[key]]);
+  
+  return crypto.createHash('sha1').update(JSON.stringify(canonical)).digest('hex').substring(0, 16);
 }
 
 /**
@@ -162,33 +266,42 @@ async function invalidateTitle(imdbId) {
  */
 const keys = {
   filters: (imdbId) => `filters:${imdbId}`,
-  skips: (imdbId, configHash) => `skips:${imdbId}:${configHash}`,
+  skips: (id, configHash) => `skips:${id}:${configHash}`,
   stats: () => 'stats:global',
   titles: (page) => `titles:list:${page}`,
 };
 
 /**
- * Health check
+ * Health check, with hit/miss counts per tier
  */
 async function healthCheck() {
-  if (!isAvailable()) {
-    return { status: 'unavailable', type: 'redis' };
+  const tiers = {
+    memory: { status: memory.stats().maxEntries > 0 ? 'healthy' : 'disabled', ...memory.stats() },
+    redis: { status: 'unavailable', ...redisCounters },
+  };
+  
+  if (isRedisAvailable()) {
+    try {
+      const start = Date.now();
+      await redis.ping();
+      tiers.redis = { ...tiers.redis, status: 'healthy', latencyMs: Date.now() - start };
+    } catch (error) {
+      tiers.redis = { ...tiers.redis, status: 'unhealthy', error: error.message };
+    }
   }
   
-  try {
-    const start = Date.now();
-    await redis.ping();
-    const latency = Date.now() - start;
-    return { status: 'healthy', type: 'redis', latencyMs: latency };
-  } catch (error) {
-    return { status: 'unhealthy', type: 'redis', error: error.message };
+  if (tiers.redis.status !== 'unavailable') {
+    return { status: tiers.redis.status, type: 'redis', tiers };
   }
+  return { status: tiers.memory.status === 'healthy' ? 'healthy' : 'unavailable', type: 'memory', tiers };
 }
 
 /**
  * Graceful shutdown
  */
 async function disconnect() {
+  memory.clear();
+  
   if (redis) {
     await redis.quit();
     redis = null;
@@ -201,7 +314,7 @@ async function disconnect() {
  * Get cache stats
  */
 async function getStats() {
-  if (!isAvailable()) return null;
+  if (!isRedisAvailable()) return null;
   
   try {
     const info = await redis.info('stats');
@@ -219,7 +332,11 @@ module.exports = {
   set,
   del,
   delPattern,
+  increment,
+  remember,
   invalidateTitle,
+  invalidateLists,
+  hashConfig,
   keys,
   healthCheck,
   disconnect,
@@ -0,0 +1,85 @@
+/**
+ * In-Process Cache
+ *
+ * Bounded LRU cache with per-entry TTLs, used on its own when Redis is
+ * unavailable and as an L1 tier in front of Redis otherwise
+ */
+
+/**
+ * Turn a Redis-style key pattern ("skips:tt0133093:*") into a RegExp
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Create an in-process LRU cache
+ * Values are stored serialized, so callers can't mutate cached data (same as Redis)
+ * @param {object} options - { maxEntries, ttl } where ttl is the default TTL in seconds
+ */
+function createMemoryCache({ maxEntries = 5000, ttl: defaultTtl = 3600 } = {}) {
+  // Map keeps insertion order: the first key is the least recently used
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  function get(key) {
+    const entry = entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) entries.delete(key);
+      counters.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits++;
+    return JSON.parse(entry.value);
+  }
+
+  function set(key, value, ttl = defaultTtl) {
+    if (maxEntries <= 0) return false;
+
+    entries.delete(key);
+    entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: Date.now() + ttl * 1000,
+    });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+    return true;
+  }
+
+  function del(key) {
+    return entries.delete(key);
+  }
+
+  function delPattern(pattern) {
+    const regex = patternToRegExp(pattern);
+    for (const key of entries.keys()) {
+      if (regex.test(key)) entries.delete(key);
+    }
+    return true;
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  function stats() {
+    return {
+      entries: entries.size,
+      maxEntries,
+      ...counters,
+    };
+  }
+
+  return { get, set, del, delPattern, clear, stats };
+}
+
+module.exports = { createMemoryCache };
@@ -3,11 +3,14 @@
  * CleanStream Contribution CLI
  * Easy way to add skip segments to the database
  * 
- * Usage:
+ * Usage (imdbId may be an episode ID like tt0903747:1:2):
  *   node contribute.js add <imdbId>
  *   node contribute.js import <imdbId> <mcf-file>
+ *   node contribute.js import-skp [dir|file] [imdbId] [--force]
  *   node contribute.js list <imdbId>
- *   node contribute.js export <imdbId>
+ *   node contribute.js export <imdbId> [--season=N]
+ *   node contribute.js consensus [imdbId] [--tolerance=ms]
+ *   node contribute.js transcript <imdbId> <srt|vtt-file> [--wordlist=file] [--release=name] [--dry-run]
  */
 
 const fs = require('fs');
@@ -15,7 +18,14 @@ const path = require('path');
 const readline = require('readline');
 
 const db = require('../database');
-const { parseMCF, generateMCF, mcfToDBSegments, dbToMCFSegments } = require('../utils/mcf');
+const { parseMCF, generateMCF, buildMCFExport, prepareMCFImport, CONVENIENCE_CATEGORIES } = require('../utils/mcf');
+const { importSKPFile, importSKPDirectory, loadSKPManifest, SKP_IMPORT_DIR } = require('../utils/skp');
+const { parseContentId, formatContentId } = require('../utils/contentId');
+const { DEFAULT_TOLERANCE_MS } = require('../utils/consensus');
+const { validateContribution, validateContributions, runtimeFor } = require('../utils/validation');
+const { parseSubtitles } = require('../utils/subtitles');
+const { loadWordlist, getWordlist } = require('../utils/profanity');
+const { generateLanguageSegments } = require('../utils/transcriptScan');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -28,21 +38,24 @@ async function addSegment(imdbId) {
   console.log(`\n📝 Adding segment to ${imdbId}\n`);
   
   // Get movie metadata if not exists
-  let filterData = db.getFilters(imdbId);
+  let filterData = await db.getFilters(imdbId);
   if (!filterData) {
     console.log('Creating new filter file for this title.');
     const title = await question('Movie/Show title: ');
     const year = await question('Year: ');
     const type = await question('Type (movie/series): ');
     
-    filterData = db.createEmptyFilterData(imdbId);
-    filterData.title = title;
-    filterData.year = parseInt(year);
-    filterData.type = type;
-    db.saveFilters(imdbId, filterData);
+    filterData = await db.updateTitleMetadata(parseContentId(imdbId).imdbId, {
+      title,
+      year: parseInt(year),
+      type,
+    });
   }
   
-  console.log(`\n📺 ${filterData.title} (${filterData.year})\n`);
+  const { season } = parseContentId(imdbId);
+  let { episode } = parseContentId(imdbId);
+  const episodeLabel = season !== null ? ` S${season}E${episode}` : '';
+  console.log(`\n📺 ${filterData.title} (${filterData.year})${episodeLabel}\n`);
   
   // Get segment details
   console.log('Enter timestamp in format MM:SS or HH:MM:SS');
@@ -50,10 +63,20 @@ async function addSegment(imdbId) {
   const endTimeStr = await question('End time: ');
   
   console.log('\nCategories: nudity, sex, violence, language, drugs, fear, discrimination, dispensable, commercial');
+  console.log(`Convenience: ${CONVENIENCE_CATEGORIES.join(', ')}`);
   const category = await question('Category: ');
   
-  console.log('\nSeverity levels: low, medium, high');
-  const severity = await question('Severity: ');
+  // Convenience categories have no severity; an intro can cover every episode of its season
+  let severity = 'low';
+  if (CONVENIENCE_CATEGORIES.includes(category)) {
+    if (season !== null) {
+      const wholeSeason = await question(`Use for every episode of season ${season}? (y/n): `);
+      if (wholeSeason.toLowerCase() === 'y') episode = null;
+    }
+  } else {
+    console.log('\nSeverity levels: low, medium, high');
+    severity = await question('Severity: ');
+  }
   
   console.log('\nChannels: both, video, audio');
   const channel = await question('Channel (default: both): ') || 'both';
@@ -61,30 +84,32 @@ async function addSegment(imdbId) {
   const comment = await question('Comment (optional): ');
   const contributor = await question('Your name (optional): ') || 'cli-contributor';
   
-  // Parse timestamps
-  const startMs = parseTimeToMs(startTimeStr);
-  const endMs = parseTimeToMs(endTimeStr);
+  const { valid, segment: checked, errors, warnings } = validateContribution({
+    startMs: parseTimeToMs(startTimeStr),
+    endMs: parseTimeToMs(endTimeStr),
+    category,
+    severity,
+    channel,
+    comment: comment || null,
+    season,
+    episode,
+  }, {
+    runtimeMs: runtimeFor(filterData, { season }),
+    existing: filterData.segments || [],
+  });
   
-  if (startMs >= endMs) {
-    console.error('❌ End time must be after start time');
+  if (!valid) {
+    printProblems(errors, '❌');
     rl.close();
     return;
   }
+  printProblems(warnings, '⚠️ ');
   
   // Add segment
-  const segment = db.addSegment(imdbId, {
-    startMs,
-    endMs,
-    category,
-    subcategory: category,
-    severity,
-    channel,
-    comment: comment || null,
-    contributor,
-  });
+  const segment = await db.addSegment(parseContentId(imdbId).imdbId, { ...checked, contributor });
   
   console.log(`\n✅ Segment added: ${segment.id}`);
-  console.log(`   ${formatMs(startMs)} - ${formatMs(endMs)} | ${category} (${severity})`);
+  console.log(`   ${formatMs(segment.startMs)} - ${formatMs(segment.endMs)} | ${category} (${severity})`);
   
   const another = await question('\nAdd another segment? (y/n): ');
   if (another.toLowerCase() === 'y') {
@@ -98,38 +123,127 @@ async function importMCF(imdbId, mcfPath) {
   console.log(`\n📥 Importing MCF file for ${imdbId}\n`);
   
   const mcfContent = fs.readFileSync(mcfPath, 'utf8');
-  const mcfData = parseMCF(mcfContent);
-  const segments = mcfToDBSegments(mcfData.segments);
+  let mcfData;
+  try {
+    mcfData = parseMCF(mcfContent);
+  } catch (error) {
+    printProblems((error.errors || []).map(e => ({ ...e, message: `${e.line ? `line ${e.line}: ` : ''}${e.message}` })), '❌');
+    console.error('Invalid MCF file. Nothing imported.');
+    rl.close();
+    return;
+  }
   
-  // Get or create filter data
-  let filterData = db.getFilters(imdbId) || db.createEmptyFilterData(imdbId);
+  // Episode from the ID, otherwise from the file's SEASON/EPISODE notes
+  const ref = parseContentId(imdbId);
+  const season = ref.season ?? mcfData.metadata.season ?? null;
+  const episode = ref.episode ?? mcfData.metadata.episode ?? null;
+  const id = formatContentId(ref.imdbId, season, episode);
   
-  // Update metadata
-  if (mcfData.metadata) {
-    filterData.title = mcfData.metadata.title || filterData.title;
-    filterData.year = mcfData.metadata.year || filterData.year;
-    filterData.type = mcfData.metadata.type || filterData.type;
+  const filterData = await db.getFilters(ref.imdbId);
+  const prepared = prepareMCFImport(mcfData, {
+    markers: await db.getMarkers(id),
+    releases: filterData?.releases || [],
+  });
+  if (prepared.error) {
+    console.error(`❌ ${prepared.error}. Known releases: ${prepared.releases.join(', ') || 'none'}`);
+    rl.close();
+    return;
   }
   
-  // Add segments
-  let count = 0;
-  for (const seg of segments) {
-    db.addSegment(imdbId, {
-      ...seg,
-      contributor: 'mcf-import',
-    });
-    count++;
+  const segments = prepared.segments.map(seg => ({ ...seg, season, episode }));
+  const checked = validateContributions(segments, {
+    runtimeMs: runtimeFor(filterData, { season, releaseId: prepared.releaseId }),
+    existing: filterData?.segments || [],
+    releaseId: prepared.releaseId,
+  });
+  
+  if (!checked.valid) {
+    printProblems(checked.errors.map(e => ({ ...e, message: `${formatMs(segments[e.index].startMs || 0)} ${e.message}` })), '❌');
+    console.error('Nothing imported.');
+    rl.close();
+    return;
   }
+  printProblems(checked.warnings.map(w => ({ ...w, message: `${formatMs(segments[w.index].startMs)} ${w.message}` })), '⚠️ ');
   
-  console.log(`✅ Imported ${count} segments from MCF file`);
+  const result = await db.bulkImportSegments(id, checked.segments.map(seg => ({
+    ...seg,
+    contributor: 'mcf-import',
+    releaseId: prepared.releaseId,
+  })), {
+    title: mcfData.metadata.title,
+    year: mcfData.metadata.year,
+    type: mcfData.metadata.type,
+  });
+  if (prepared.storeMarkers) {
+    await db.setMarkers(id, mcfData.markers);
+  }
+  
+  console.log(`✅ Imported ${result.imported} segments from MCF file`);
+  if (result.merged) console.log(`🔗 Merged ${result.merged} near-duplicate segments`);
   rl.close();
 }
 
-function listSegments(imdbId) {
-  const filterData = db.getFilters(imdbId);
+async function importSKP(target, linkImdbId, force) {
+  const targetPath = target || SKP_IMPORT_DIR;
+  
+  if (!fs.existsSync(targetPath)) {
+    console.error(`❌ Not found: ${targetPath}`);
+    rl.close();
+    return;
+  }
+  
+  if (fs.statSync(targetPath).isFile()) {
+    // Single file: link through the given IMDB ID or the manifest next to it
+    const link = linkImdbId
+      ? { imdbId: linkImdbId }
+      : loadSKPManifest(path.dirname(targetPath)).get(path.basename(targetPath));
+    
+    if (!link) {
+      console.error('❌ File is not listed in manifest.json, pass an IMDB ID');
+      rl.close();
+      return;
+    }
+    
+    const result = await importSKPFile(targetPath, link, { force });
+    console.log(`${result.status === 'imported' ? '✅' : '⏭️ '} ${result.file}: ${result.status}` +
+      (result.segments !== undefined ? ` (${result.segments}/${result.cues} cues)` : '') +
+      (result.merged ? `, ${result.merged} merged` : ''));
+    rl.close();
+    return;
+  }
+  
+  console.log(`\n📥 Importing VideoSkip files from ${targetPath}\n`);
+  
+  const summary = await importSKPDirectory(targetPath, {
+    force,
+    onProgress: (result) => {
+      if (result.status === 'imported') {
+        console.log(`✅ ${result.file} -> ${result.imdbId} (${result.segments}/${result.cues} cues)` +
+          (result.merged ? `, ${result.merged} merged` : ''));
+      } else if (result.status === 'failed') {
+        console.log(`❌ ${result.file}: ${result.error}`);
+      }
+    },
+  });
+  
+  console.log('');
+  console.log(`Files:    ${summary.files}`);
+  console.log(`Imported: ${summary.imported} titles, ${summary.segments} segments`);
+  console.log(`Skipped:  ${summary.skipped} (already imported, use --force to re-import)`);
+  console.log(`Junk:     ${summary.junk} (saved HTML pages)`);
+  console.log(`Unlinked: ${summary.unlinked} (not in manifest.json)`);
+  console.log(`Empty:    ${summary.empty} (no usable cues)`);
+  if (summary.failed) console.log(`Failed:   ${summary.failed}`);
+  
+  rl.close();
+}
+
+async function listSegments(imdbId) {
+  const filterData = await db.getFilters(imdbId);
   
   if (!filterData) {
     console.log(`❌ No filter data found for ${imdbId}`);
+    rl.close();
     return;
   }
   
@@ -139,11 +253,13 @@ function listSegments(imdbId) {
   
   if (filterData.segments.length === 0) {
     console.log('   No segments yet.');
+    rl.close();
     return;
   }
   
   filterData.segments.forEach((seg, i) => {
-    console.log(`${i + 1}. [${formatMs(seg.startMs)} - ${formatMs(seg.endMs)}]`);
+    const episodeLabel = seg.season !== null && seg.season !== undefined ? ` S${seg.season}E${seg.episode}` : '';
+    console.log(`${i + 1}. [${formatMs(seg.startMs)} - ${formatMs(seg.endMs)}]${episodeLabel}`);
     console.log(`   ${seg.category} (${seg.severity}) - ${seg.channel}`);
     if (seg.comment) console.log(`   "${seg.comment}"`);
     console.log(`   👍 ${seg.votes?.up || 0} / 👎 ${seg.votes?.down || 0}`);
@@ -153,8 +269,9 @@ function listSegments(imdbId) {
   rl.close();
 }
 
-function exportMCF(imdbId) {
-  const filterData = db.getFilters(imdbId);
+async function exportMCF(imdbId, season = null) {
+  const ref = parseContentId(imdbId);
+  const filterData = await db.getFilters(ref.imdbId);
   
   if (!filterData) {
     console.log(`❌ No filter data found for ${imdbId}`);
@@ -162,21 +279,13 @@ function exportMCF(imdbId) {
     return;
   }
   
-  const mcfData = {
-    metadata: {
-      title: filterData.title,
-      year: filterData.year,
-      type: filterData.type,
-      imdb: `https://www.imdb.com/title/${imdbId}/`,
-    },
-    markers: {
-      start: 0,
-      end: null,
-    },
-    segments: dbToMCFSegments(filterData.segments),
-  };
-  
-  const mcf = generateMCF(mcfData);
+  // The title's own segments, an episode's, or with --season a season's patterns
+  const mcf = generateMCF(buildMCFExport(filterData, {
+    imdbId: ref.imdbId,
+    season: ref.season ?? season,
+    episode: ref.episode,
+    markers: await db.getMarkers(imdbId),
+  }));
   
   // Output to stdout
   console.log(mcf);
@@ -184,18 +293,99 @@ function exportMCF(imdbId) {
   rl.close();
 }
 
+async function mergeConsensus(imdbId, toleranceMs) {
+  let ids = [imdbId];
+  
+  if (!imdbId) {
+    ids = [];
+    for (let offset = 0; ; offset += 100) {
+      const page = await db.listTitles({ limit: 100, offset });
+      ids.push(...page.map(t => t.imdbId));
+      if (page.length < 100) break;
+    }
+  }
+  
+  console.log(`\n🔗 Merging near-duplicate segments (tolerance ${toleranceMs}ms)\n`);
+  
+  let clusters = 0;
+  let merged = 0;
+  for (const id of ids) {
+    const result = await db.mergeDuplicateSegments(id, { toleranceMs });
+    clusters += result.clusters;
+    merged += result.merged;
+    
+    for (const seg of result.segments) {
+      console.log(`✅ ${result.imdbId} [${formatMs(seg.startMs)} - ${formatMs(seg.endMs)}] ${seg.category} (${seg.severity})` +
+        ` from ${seg.sources.length} segments`);
+    }
+  }
+  
+  console.log('');
+  console.log(`Titles:    ${ids.length}`);
+  console.log(`Consensus: ${clusters} segments built from ${merged} near-duplicates`);
+  
+  rl.close();
+}
+
+async function scanTranscript(imdbId, subtitlePath, options) {
+  console.log(`\n🔎 Scanning subtitles of ${imdbId} for language\n`);
+  
+  const cues = parseSubtitles(fs.readFileSync(subtitlePath, 'utf8'));
+  if (cues.length === 0) {
+    console.error('❌ Not an SRT or VTT subtitle file');
+    rl.close();
+    return;
+  }
+  
+  const wordlist = options.wordlist ? loadWordlist(options.wordlist) : getWordlist();
+  const result = await generateLanguageSegments(imdbId, cues, { wordlist, release: options.release, dryRun: options.dryRun });
+  if (result.error) {
+    console.error(`❌ ${result.error}. Known releases: ${result.releases.join(', ') || 'none'}`);
+    rl.close();
+    return;
+  }
+  
+  for (const seg of result.segments) {
+    console.log(`   ${formatMs(seg.startMs)} - ${formatMs(seg.endMs)} | ${seg.subcategory} (${seg.severity}) ${seg.comment}`);
+  }
+  printProblems(result.errors.map(e => ({ ...e, message: `${formatMs(e.startMs)} ${e.message}` })), '⚠️ ');
+  
+  console.log('');
+  console.log(`Lines:    ${cues.length}`);
+  console.log(`Matched:  ${result.matched}`);
+  console.log(`Covered:  ${result.covered} (already have a language segment)`);
+  if (options.dryRun) {
+    console.log(`Found:    ${result.segments.length} (dry run, nothing stored)`);
+  } else {
+    console.log(`Imported: ${result.imported} (pending review)`);
+    if (result.merged) console.log(`Merged:   ${result.merged} near-duplicates`);
+  }
+  
+  rl.close();
+}
+
+/**
+ * Print validation errors or warnings, one per line
+ */
+function printProblems(problems, icon) {
+  for (const problem of problems) {
+    console.log(`${icon} ${problem.field ? `${problem.field}: ` : ''}${problem.message}`);
+  }
+}
+
 function parseTimeToMs(timeStr) {
-  const parts = timeStr.split(':').map(Number);
+  const parts = timeStr.trim().split(':').map(Number);
+  if (parts.some(isNaN)) return null;
   
   if (parts.length === 2) {
     // MM:SS
-    return (parts[0] * 60 + parts[1]) * 1000;
+    return Math.round((parts[0] * 60 + parts[1]) * 1000);
   } else if (parts.length === 3) {
     // HH:MM:SS
-    return (parts[0] * 3600 + parts[1] * 60 + parts[2]) * 1000;
+    return Math.round((parts[0] * 3600 + parts[1] * 60 + parts[2]) * 1000);
   }
   
-  return 0;
+  return null;
 }
 
 function formatMs(ms) {
@@ -240,6 +430,15 @@ switch (command) {
     }
     break;
     
+  case 'import-skp': {
+    const positional = args.slice(1).filter(a => !a.startsWith('--'));
+    importSKP(positional[0], positional[1], args.includes('--force')).catch(err => {
+      console.error('❌ Import failed:', err.message);
+      rl.close();
+    });
+    break;
+  }
+    
   case 'list':
     if (!imdbId) {
       console.log('Usage: node contribute.js list <imdbId>');
@@ -249,21 +448,67 @@ switch (command) {
     }
     break;
     
-  case 'export':
-    if (!imdbId) {
-      console.log('Usage: node contribute.js export <imdbId> > output.mcf');
+  case 'export': {
+    const seasonArg = args.find(a => a.startsWith('--season='));
+    const season = seasonArg ? parseInt(seasonArg.split('=')[1]) : null;
+    
+    if (!imdbId || (seasonArg && isNaN(season))) {
+      console.log('Usage: node contribute.js export <imdbId> [--season=N] > output.mcf');
       rl.close();
     } else {
-      exportMCF(imdbId);
+      exportMCF(imdbId, season);
+    }
+    break;
+  }
+    
+  case 'consensus': {
+    const positional = args.slice(1).filter(a => !a.startsWith('--'));
+    const toleranceArg = args.find(a => a.startsWith('--tolerance='));
+    const toleranceMs = toleranceArg ? parseInt(toleranceArg.split('=')[1]) : DEFAULT_TOLERANCE_MS;
+    
+    if (isNaN(toleranceMs) || toleranceMs < 0) {
+      console.log('Usage: node contribute.js consensus [imdbId] [--tolerance=ms]');
+      rl.close();
+      break;
+    }
+    
+    mergeConsensus(positional[0], toleranceMs).catch(err => {
+      console.error('❌ Merge failed:', err.message);
+      rl.close();
+    });
+    break;
+  }
+    
+  case 'transcript': {
+    const positional = args.slice(1).filter(a => !a.startsWith('--'));
+    const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+    
+    if (positional.length < 2) {
+      console.log('Usage: node contribute.js transcript <imdbId> <srt|vtt-file> [--wordlist=file] [--release=name] [--dry-run]');
+      rl.close();
+      break;
     }
+    
+    scanTranscript(positional[0], positional[1], {
+      wordlist: option('wordlist'),
+      release: option('release'),
+      dryRun: args.includes('--dry-run'),
+    }).catch(err => {
+      console.error('❌ Scan failed:', err.message);
+      rl.close();
+    });
     break;
+  }
     
   default:
     console.log('\nCommands:');
     console.log('  add <imdbId>              - Add a new skip segment interactively');
     console.log('  import <imdbId> <file>    - Import from MCF file');
+    console.log('  import-skp [dir|file]     - Import VideoSkip .skp files (default: data/videoskip-imports)');
     console.log('  list <imdbId>             - List all segments');
-    console.log('  export <imdbId>           - Export to MCF format');
+    console.log('  export <imdbId>           - Export to MCF format (--season=N: that season\'s patterns)');
+    console.log('  consensus [imdbId]        - Merge near-duplicate segments (all titles without an ID)');
+    console.log('  transcript <imdbId> <file> - Generate language segments from SRT/VTT subtitles');
     console.log('\nExample:');
     console.log('  node contribute.js add tt0120338');
     console.log('  node contribute.js list tt0133093');
@@ -150,6 +150,8 @@ async function autoSeed() {
         await client.segment.create({
           data: {
             titleId: title.id,
+            season: s.season ?? null,
+            episode: s.episode ?? null,
             startMs: s.startMs,
             endMs: s.endMs,
             category: s.category,
@@ -24,13 +24,31 @@ module.exports = {
   addSegment: repository.addSegment,
   updateTitleMetadata: repository.updateTitleMetadata,
   voteSegment: repository.voteSegment,
+  getSegment: repository.getSegment,
   deleteSegment: repository.deleteSegment,
   verifySegment: repository.verifySegment,
+  unverifySegment: repository.unverifySegment,
+  updateSegment: repository.updateSegment,
+  listRevisions: repository.listRevisions,
+  revertSegment: repository.revertSegment,
+  moderateSegment: repository.moderateSegment,
+  listModerationQueue: repository.listModerationQueue,
+  deleteSegmentsByContributor: repository.deleteSegmentsByContributor,
+  logAdminAction: repository.logAdminAction,
+  listAdminActions: repository.listAdminActions,
+  recordApiUsage: repository.recordApiUsage,
   getStats: repository.getStats,
   listTitles: repository.listTitles,
   searchTitles: repository.searchTitles,
   bulkImportSegments: repository.bulkImportSegments,
+  mergeDuplicateSegments: repository.mergeDuplicateSegments,
   getOrCreateTitle: repository.getOrCreateTitle,
+  upsertRelease: repository.upsertRelease,
+  listReleases: repository.listReleases,
+  updateRelease: repository.updateRelease,
+  deleteRelease: repository.deleteRelease,
+  getMarkers: repository.getMarkers,
+  setMarkers: repository.setMarkers,
   
   // Legacy JSON functions (for backwards compatibility)
   saveFilters: jsonStorage.saveFilters,
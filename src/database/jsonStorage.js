@@ -9,6 +9,9 @@ const path = require('path');
 
 const DATA_DIR = process.env.CLEANSTREAM_DATA_DIR || path.join(__dirname, '../../data/filters');
 
+// Admin audit log; .jsonl so it isn't mistaken for a title file
+const ADMIN_LOG_PATH = path.join(DATA_DIR, 'admin-actions.jsonl');
+
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -57,7 +60,7 @@ function saveFilters(imdbId, filterData) {
  * @param {string} imdbId - IMDB ID
  * @param {object} segment - Skip segment data
  */
-function addSegment(imdbId, segment) {
+function addSegment(imdbId, { matchedWords, ...segment }) {
   let filterData = getFilters(imdbId) || createEmptyFilterData(imdbId);
   
   // Generate segment ID
@@ -66,6 +69,11 @@ function addSegment(imdbId, segment) {
   segment.votes = { up: 0, down: 0 };
   
   filterData.segments.push(segment);
+  
+  // Wordlist entries behind a generated segment are for moderators only, kept like voters
+  if (matchedWords?.length) {
+    filterData.matchedWords = { ...filterData.matchedWords, [segment.id]: matchedWords };
+  }
   filterData.updatedAt = new Date().toISOString();
   filterData.version++;
   
@@ -107,27 +115,426 @@ function listAllFilters() {
 }
 
 /**
- * Vote on a segment
+ * Cast, change or retract a visitor's vote on a segment
+ * Who voted what is kept per segment in filterData.voters, so each visitor counts once
  * @param {string} imdbId - IMDB ID
  * @param {string} segmentId - Segment ID
- * @param {string} voteType - 'up' or 'down'
+ * @param {string|null} voteType - 'up', 'down', or null to retract
+ * @param {string} visitorId - Hashed visitor ID
+ */
+function voteSegment(imdbId, segmentId, voteType, visitorId) {
+  const filterData = getFilters(imdbId);
+  const segment = filterData?.segments?.find(s => s.id === segmentId);
+  if (!segment) return { success: false, reason: 'not_found' };
+  
+  segment.votes = segment.votes || { up: 0, down: 0 };
+  filterData.voters = filterData.voters || {};
+  
+  const voters = filterData.voters[segmentId] || {};
+  const previous = voters[visitorId] || null;
+  
+  // Same vote again (or retracting a vote that was never cast)
+  if (previous === voteType) {
+    return { success: true, changed: false, vote: previous, votes: { ...segment.votes } };
+  }
+  
+  if (previous) {
+    segment.votes[previous] = Math.max(0, segment.votes[previous] - 1);
+  }
+  if (voteType) {
+    segment.votes[voteType]++;
+    voters[visitorId] = voteType;
+  } else {
+    delete voters[visitorId];
+  }
+  
+  if (Object.keys(voters).length > 0) {
+    filterData.voters[segmentId] = voters;
+  } else {
+    delete filterData.voters[segmentId];
+  }
+  
+  filterData.updatedAt = new Date().toISOString();
+  saveFilters(imdbId, filterData);
+  return { success: true, changed: true, vote: voteType, votes: { ...segment.votes } };
+}
+
+/**
+ * Find a segment by ID across all titles
+ * @param {string} segmentId - Segment ID
+ * @param {string} imdbIdHint - Title to look in, when known (saves scanning every title)
+ * @returns {object|null} { imdbId, filterData, segment } or null if not found
+ */
+function findSegment(segmentId, imdbIdHint = null) {
+  for (const imdbId of imdbIdHint ? [imdbIdHint] : listAllFilters()) {
+    const filterData = getFilters(imdbId);
+    const segment = filterData?.segments?.find(s => s.id === segmentId);
+    if (segment) return { imdbId, filterData, segment };
+  }
+  return null;
+}
+
+/**
+ * Collect the segments of every title that match a predicate
+ * @param {Function} predicate - Called with (segment, filterData)
+ * @returns {array} [{ imdbId, title, segment }]
+ */
+function findSegments(predicate) {
+  const matches = [];
+  
+  for (const imdbId of listAllFilters()) {
+    const filterData = getFilters(imdbId);
+    for (const segment of filterData?.segments || []) {
+      if (predicate(segment, filterData)) {
+        matches.push({ imdbId, title: filterData.title, segment });
+      }
+    }
+  }
+  
+  return matches;
+}
+
+/**
+ * Mark a segment verified, or unverified when verifiedBy is null
+ * @param {string} segmentId - Segment ID
+ * @param {string|null} verifiedBy - Admin verifying the segment
+ * @returns {object|null} { imdbId, segment } or null if not found
+ */
+function setSegmentVerified(segmentId, verifiedBy) {
+  const found = findSegment(segmentId);
+  if (!found) return null;
+  
+  const { imdbId, filterData, segment } = found;
+  segment.verified = !!verifiedBy;
+  segment.verifiedBy = verifiedBy || null;
+  segment.verifiedAt = verifiedBy ? new Date().toISOString() : null;
+  
+  filterData.updatedAt = new Date().toISOString();
+  saveFilters(imdbId, filterData);
+  return { imdbId, segment };
+}
+
+/**
+ * Change fields of a segment
+ * @param {string} segmentId - Segment ID
+ * @param {object} changes - Fields to overwrite
+ * @param {string} imdbIdHint - Title the segment belongs to, when known
+ * @returns {object|null} { imdbId, before, segment } or null if not found
+ */
+function updateSegment(segmentId, changes, imdbIdHint = null) {
+  const found = findSegment(segmentId, imdbIdHint);
+  if (!found) return null;
+  
+  const { imdbId, filterData, segment } = found;
+  const before = { ...segment };
+  Object.assign(segment, changes, { updatedAt: new Date().toISOString() });
+  
+  filterData.updatedAt = new Date().toISOString();
+  filterData.version++;
+  saveFilters(imdbId, filterData);
+  return { imdbId, before, segment };
+}
+
+/**
+ * Edit a segment and record the change as a revision
+ * Revisions are kept per segment in filterData.revisions, oldest first
+ * @param {string} segmentId - Segment ID
+ * @param {object} changes - Fields to overwrite
+ * @param {object} revisionInfo - { editor, visitorId, revertOf }
+ * @returns {object|null} { imdbId, before, segment, revision } or null if not found
+ */
+function editSegment(segmentId, changes, revisionInfo = {}) {
+  const found = findSegment(segmentId);
+  if (!found) return null;
+  
+  const { imdbId, filterData, segment } = found;
+  const before = { ...segment };
+  
+  const revision = {
+    id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    segmentId,
+    editor: revisionInfo.editor || 'anonymous',
+    visitorId: revisionInfo.visitorId || null,
+    before: Object.fromEntries(Object.keys(changes).map(f => [f, segment[f] ?? null])),
+    after: { ...changes },
+    revertOf: revisionInfo.revertOf || null,
+    createdAt: new Date().toISOString(),
+  };
+  
+  Object.assign(segment, changes, { updatedAt: revision.createdAt });
+  
+  filterData.revisions = filterData.revisions || {};
+  filterData.revisions[segmentId] = [...(filterData.revisions[segmentId] || []), revision];
+  filterData.updatedAt = revision.createdAt;
+  filterData.version++;
+  saveFilters(imdbId, filterData);
+  return { imdbId, before, segment, revision };
+}
+
+/**
+ * List a segment's revisions, oldest first
+ * @param {string} segmentId - Segment ID
+ * @returns {object|null} { imdbId, segment, revisions } or null if the segment doesn't exist
+ */
+function listRevisions(segmentId) {
+  const found = findSegment(segmentId);
+  if (!found) return null;
+  
+  return {
+    imdbId: found.imdbId,
+    segment: found.segment,
+    revisions: found.filterData.revisions?.[segmentId] || [],
+  };
+}
+
+/**
+ * Delete a segment
+ * @param {string} segmentId - Segment ID
+ * @returns {object|null} { imdbId, segment } or null if not found
+ */
+function deleteSegment(segmentId) {
+  const found = findSegment(segmentId);
+  if (!found) return null;
+  
+  const { imdbId, filterData, segment } = found;
+  filterData.segments = filterData.segments.filter(s => s.id !== segmentId);
+  if (filterData.voters) delete filterData.voters[segmentId];
+  if (filterData.revisions) delete filterData.revisions[segmentId];
+  if (filterData.matchedWords) delete filterData.matchedWords[segmentId];
+  unmergeOrphans(filterData);
+  
+  filterData.updatedAt = new Date().toISOString();
+  filterData.version++;
+  saveFilters(imdbId, filterData);
+  return { imdbId, segment };
+}
+
+/**
+ * Delete every segment by a contributor, and the consensus segments merged from them
+ * @param {string} contributor - Contributor name
+ * @param {string|null} onlyImdbId - Limit the deletion to this title
+ * @returns {array} [{ imdbId, deleted }] for each title that lost segments
+ */
+function deleteSegmentsByContributor(contributor, onlyImdbId = null) {
+  const results = [];
+  
+  for (const imdbId of onlyImdbId ? [onlyImdbId] : listAllFilters()) {
+    const filterData = getFilters(imdbId);
+    if (!filterData?.segments) continue;
+    
+    const removed = filterData.segments.filter(s => s.contributor === contributor);
+    const deleted = removed.length;
+    if (deleted === 0) continue;
+    
+    // Consensus segments built from them go too; what's left of their sources is merged again
+    const stale = new Set(removed.map(s => s.mergedInto).filter(Boolean));
+    const kept = filterData.segments.filter(s => s.contributor !== contributor && !stale.has(s.id));
+    
+    for (const s of filterData.segments) {
+      if (s.contributor !== contributor && !stale.has(s.id)) continue;
+      if (filterData.voters) delete filterData.voters[s.id];
+      if (filterData.revisions) delete filterData.revisions[s.id];
+      if (filterData.matchedWords) delete filterData.matchedWords[s.id];
+    }
+    
+    filterData.segments = kept;
+    unmergeOrphans(filterData);
+    filterData.updatedAt = new Date().toISOString();
+    filterData.version++;
+    saveFilters(imdbId, filterData);
+    results.push({ imdbId, deleted });
+  }
+  
+  return results;
+}
+
+/**
+ * Put segments whose consensus segment was deleted back into play
+ * (what Postgres does with ON DELETE SET NULL)
+ */
+function unmergeOrphans(filterData) {
+  const ids = new Set(filterData.segments.map(s => s.id));
+  for (const s of filterData.segments) {
+    if (s.mergedInto && !ids.has(s.mergedInto)) delete s.mergedInto;
+  }
+}
+
+/**
+ * Store consensus segments and mark their sources as merged into them
+ * @param {string} imdbId - IMDB ID
+ * @param {array} clusters - [{ segmentId, fields, sourceIds, obsoleteIds, votes, voters }]
+ *   where segmentId is an existing consensus segment to update, or null to create one
+ * @returns {array} The consensus segments as stored
+ */
+function applyConsensus(imdbId, clusters) {
+  const filterData = getFilters(imdbId);
+  if (!filterData) return [];
+  
+  const now = new Date().toISOString();
+  filterData.voters = filterData.voters || {};
+  const results = [];
+  
+  for (const cluster of clusters) {
+    let segment = cluster.segmentId && filterData.segments.find(s => s.id === cluster.segmentId);
+    if (!segment) {
+      segment = {
+        id: `seg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        addedAt: now,
+      };
+      filterData.segments.push(segment);
+    }
+  
+    Object.assign(segment, cluster.fields, {
+      votes: cluster.votes,
+      sources: cluster.sourceIds,
+      updatedAt: now,
+    });
+  
+    // Superseded consensus segments only ever held what their sources hold
+    filterData.segments = filterData.segments.filter(s => !cluster.obsoleteIds.includes(s.id));
+    for (const id of cluster.obsoleteIds) {
+      delete filterData.voters[id];
+      if (filterData.revisions) delete filterData.revisions[id];
+    }
+  
+    for (const s of filterData.segments) {
+      if (cluster.sourceIds.includes(s.id)) s.mergedInto = segment.id;
+    }
+  
+    if (Object.keys(cluster.voters).length > 0) {
+      filterData.voters[segment.id] = cluster.voters;
+    }
+    results.push(segment);
+  }
+  
+  filterData.updatedAt = now;
+  filterData.version++;
+  saveFilters(imdbId, filterData);
+  return results;
+}
+
+/**
+ * Append an entry to the admin audit log (one JSON object per line)
+ * @param {object} entry - { admin, action, imdbId, segmentId, details }
+ */
+function logAdminAction(entry) {
+  const record = {
+    id: `adm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    ...entry,
+    createdAt: new Date().toISOString(),
+  };
+  
+  fs.appendFileSync(ADMIN_LOG_PATH, JSON.stringify(record) + '\n');
+  return record;
+}
+
+/**
+ * Read the admin audit log, newest first
+ * @param {object} filter - { admin, imdbId, limit }
+ */
+function listAdminActions({ admin, imdbId, limit = 100 } = {}) {
+  if (!fs.existsSync(ADMIN_LOG_PATH)) return [];
+  
+  return fs.readFileSync(ADMIN_LOG_PATH, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .filter(a => (!admin || a.admin === admin) && (!imdbId || a.imdbId === imdbId))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Create or update a named release of a movie/show
+ * @param {string} imdbId - IMDB ID
+ * @param {object} releaseData - { name, offsetMs, speedFactor, runtime }
+ */
+function upsertRelease(imdbId, releaseData) {
+  const filterData = getFilters(imdbId) || createEmptyFilterData(imdbId);
+  filterData.releases = filterData.releases || [];
+  
+  let release = filterData.releases.find(r => r.name === releaseData.name);
+  if (release) {
+    applyReleaseFields(release, releaseData);
+  } else {
+    release = {
+      id: `rel_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: releaseData.name,
+      runtime: releaseData.runtime || null,
+      offsetMs: releaseData.offsetMs || 0,
+      speedFactor: releaseData.speedFactor || 1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    filterData.releases.push(release);
+  }
+  
+  filterData.updatedAt = new Date().toISOString();
+  saveFilters(imdbId, filterData);
+  return release;
+}
+
+/**
+ * Update a release by ID
+ * @param {string} imdbId - IMDB ID
+ * @param {string} releaseId - Release ID
+ * @param {object} releaseData - Fields to change
+ * @returns {object|null} Updated release or null if not found
  */
-function voteSegment(imdbId, segmentId, voteType) {
+function updateRelease(imdbId, releaseId, releaseData) {
   const filterData = getFilters(imdbId);
-  if (!filterData) return false;
+  const release = filterData?.releases?.find(r => r.id === releaseId);
+  if (!release) return null;
   
-  const segment = filterData.segments.find(s => s.id === segmentId);
-  if (!segment) return false;
+  applyReleaseFields(release, releaseData);
+  filterData.updatedAt = new Date().toISOString();
+  saveFilters(imdbId, filterData);
+  return release;
+}
+
+/**
+ * Delete a release, refusing while segments are still timed against it
+ * @param {string} imdbId - IMDB ID
+ * @param {string} releaseId - Release ID
+ */
+function deleteRelease(imdbId, releaseId) {
+  const filterData = getFilters(imdbId);
+  const index = filterData?.releases?.findIndex(r => r.id === releaseId) ?? -1;
+  if (index === -1) return { success: false, reason: 'not_found' };
   
-  if (voteType === 'up') {
-    segment.votes.up++;
-  } else if (voteType === 'down') {
-    segment.votes.down++;
+  const anchored = filterData.segments.filter(s => s.releaseId === releaseId).length;
+  if (anchored > 0) return { success: false, reason: 'in_use', segments: anchored };
+  
+  filterData.releases.splice(index, 1);
+  filterData.updatedAt = new Date().toISOString();
+  saveFilters(imdbId, filterData);
+  return { success: true };
+}
+
+/**
+ * Copy the provided release fields onto a stored release
+ */
+function applyReleaseFields(release, releaseData) {
+  for (const field of ['name', 'runtime', 'offsetMs', 'speedFactor']) {
+    if (releaseData[field] !== undefined) release[field] = releaseData[field];
   }
+  release.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Set the MCF START/END markers of a title or episode
+ * @param {string} imdbId - IMDB ID
+ * @param {string} contentId - tt1234567, or tt1234567:1:2 for an episode
+ * @param {object} markers - { start, end } in milliseconds (either may be null)
+ */
+function setMarkers(imdbId, contentId, markers) {
+  const filterData = getFilters(imdbId) || createEmptyFilterData(imdbId);
+  filterData.markers = filterData.markers || {};
+  filterData.markers[contentId] = { start: markers.start ?? null, end: markers.end ?? null };
   
   filterData.updatedAt = new Date().toISOString();
   saveFilters(imdbId, filterData);
-  return true;
+  return filterData.markers[contentId];
 }
 
 /**
@@ -157,6 +564,21 @@ module.exports = {
   createEmptyFilterData,
   listAllFilters,
   voteSegment,
+  findSegment,
+  findSegments,
+  setSegmentVerified,
+  updateSegment,
+  editSegment,
+  listRevisions,
+  deleteSegment,
+  deleteSegmentsByContributor,
+  applyConsensus,
+  logAdminAction,
+  listAdminActions,
+  upsertRelease,
+  updateRelease,
+  deleteRelease,
+  setMarkers,
   getStats,
   DATA_DIR,
 };
@@ -7,6 +7,29 @@
 
 const { getClient } = require('./connection');
 const jsonDb = require('./jsonStorage');
+const cache = require('../cache');
+const { parseContentId, formatContentId, selectEpisodeSegments } = require('../utils/contentId');
+const { planConsensus, mergeVotes } = require('../utils/consensus');
+const { isTokenVisitor } = require('../utils/visitor');
+
+// Upvotes that approve a pending contribution without a moderator (0 disables)
+const AUTO_APPROVE_UPVOTES = parseAutoApproveUpvotes(process.env.AUTO_APPROVE_UPVOTES);
+
+// Recorded as the moderator of automatically approved contributions
+const AUTO_APPROVER = 'auto:upvotes';
+
+/**
+ * Read AUTO_APPROVE_UPVOTES, keeping the default of 3 when it isn't a whole number
+ */
+function parseAutoApproveUpvotes(value) {
+  if (value === undefined || value.trim() === '') return 3;
+  
+  if (!/^\d+$/.test(value.trim())) {
+    console.warn(`[CleanStream] Ignoring invalid AUTO_APPROVE_UPVOTES: ${value}, using 3`);
+    return 3;
+  }
+  return parseInt(value, 10);
+}
 
 /**
  * Check if PostgreSQL is available
@@ -15,6 +38,20 @@ function isPostgresAvailable() {
   return !!process.env.DATABASE_URL;
 }
 
+/**
+ * Drop the cache entries a write made stale, then pass its result through
+ * @param {any} result - Result of the write
+ * @param {string} imdbId - Title that was written
+ * @param {object} options - { skips } generated skips changed, { lists } title lists/stats changed
+ */
+async function afterWrite(result, imdbId, { skips = true, lists = true } = {}) {
+  await cache.invalidateTitle(imdbId, { skips });
+  if (lists) {
+    await cache.invalidateLists();
+  }
+  return result;
+}
+
 /**
  * Get or create a title record
  */
@@ -55,11 +92,34 @@ async function getOrCreateTitle(imdbId, metadata = {}) {
 }
 
 /**
- * Get filters/segments for a title
+ * Get filters/segments for a title (cached)
+ * @param {string} id - tt1234567 for the whole title, tt1234567:1:2 for a single episode
+ */
+async function getFilters(id) {
+  return cache.remember(cache.keys.filters(id), cache.CACHE_TTL.filters, () => loadFilters(id));
+}
+
+/**
+ * Load filters/segments for a title from storage
  */
-async function getFilters(imdbId) {
+async function loadFilters(id) {
+  const { imdbId, season, episode } = parseContentId(id);
+  
   if (!isPostgresAvailable()) {
-    return jsonDb.getFilters(imdbId);
+    const stored = jsonDb.getFilters(imdbId);
+    if (!stored) return null;
+    
+    // Who voted for what and the words behind generated segments stay private;
+    // edit history has its own endpoint
+    const { voters, revisions, matchedWords, ...data } = stored;
+    if (season === null) return data;
+    
+    return {
+      ...data,
+      season,
+      episode,
+      segments: selectEpisodeSegments(data.segments, season, episode),
+    };
   }
   
   const prisma = getClient();
@@ -68,6 +128,9 @@ async function getFilters(imdbId) {
     where: { imdbId },
     include: {
       segments: {
+        // The episode's own segments and its season's patterns
+        where: season !== null ? { season, OR: [{ episode }, { episode: null }] } : undefined,
+        include: { sources: { select: { id: true } } },
         orderBy: { startMs: 'asc' },
       },
       releases: true,
@@ -83,20 +146,10 @@ async function getFilters(imdbId) {
     year: title.year,
     type: title.type,
     runtime: title.runtime,
-    segments: title.segments.map(seg => ({
-      id: seg.id,
-      startMs: seg.startMs,
-      endMs: seg.endMs,
-      category: seg.category,
-      subcategory: seg.subcategory,
-      severity: seg.severity,
-      channel: seg.channel,
-      comment: seg.comment,
-      contributor: seg.contributor,
-      votes: { up: seg.upvotes, down: seg.downvotes },
-      verified: seg.verified,
-      createdAt: seg.createdAt,
-    })),
+    ...(season !== null && { season, episode }),
+    segments: season !== null
+      ? selectEpisodeSegments(title.segments.map(formatSegment), season, episode)
+      : title.segments.map(formatSegment),
     releases: title.releases,
     createdAt: title.createdAt,
     updatedAt: title.updatedAt,
@@ -105,10 +158,16 @@ async function getFilters(imdbId) {
 
 /**
  * Add a segment to a title
+ * @param {string} id - tt1234567, or tt1234567:1:2 to attach the segment to an episode
  */
-async function addSegment(imdbId, segmentData) {
+async function addSegment(id, segmentData) {
+  const ref = parseContentId(id);
+  const imdbId = ref.imdbId;
+  const season = ref.season ?? segmentData.season ?? null;
+  const episode = ref.episode ?? segmentData.episode ?? null;
+  
   if (!isPostgresAvailable()) {
-    return jsonDb.addSegment(imdbId, segmentData);
+    return afterWrite(jsonDb.addSegment(imdbId, { ...segmentData, season, episode }), imdbId);
   }
   
   const prisma = getClient();
@@ -117,12 +176,14 @@ async function addSegment(imdbId, segmentData) {
   const title = await getOrCreateTitle(imdbId, {
     title: segmentData.titleName,
     year: segmentData.year,
-    type: segmentData.type,
+    type: segmentData.type || (season !== null ? 'series' : undefined),
   });
   
   const segment = await prisma.segment.create({
     data: {
       titleId: title.id,
+      season,
+      episode,
       startMs: segmentData.startMs,
       endMs: segmentData.endMs,
       category: segmentData.category,
@@ -132,11 +193,15 @@ async function addSegment(imdbId, segmentData) {
       comment: segmentData.comment,
       contributor: segmentData.contributor || 'anonymous',
       contributorIp: segmentData.contributorIp,
+      releaseId: segmentData.releaseId || null,
+      status: segmentData.status,
     },
   });
   
-  return {
+  return afterWrite({
     id: segment.id,
+    season: segment.season,
+    episode: segment.episode,
     startMs: segment.startMs,
     endMs: segment.endMs,
     category: segment.category,
@@ -145,9 +210,11 @@ async function addSegment(imdbId, segmentData) {
     channel: segment.channel,
     comment: segment.comment,
     contributor: segment.contributor,
+    releaseId: segment.releaseId,
     votes: { up: 0, down: 0 },
+    status: segment.status,
     createdAt: segment.createdAt,
-  };
+  }, imdbId);
 }
 
 /**
@@ -159,7 +226,7 @@ async function updateTitleMetadata(imdbId, metadata) {
     Object.assign(data, metadata);
     data.updatedAt = new Date().toISOString();
     jsonDb.saveFilters(imdbId, data);
-    return data;
+    return afterWrite(data, imdbId, { skips: false });
   }
   
   const prisma = getClient();
@@ -181,119 +248,604 @@ async function updateTitleMetadata(imdbId, metadata) {
     },
   });
   
-  return title;
+  // Metadata doesn't change which skips apply
+  return afterWrite(title, imdbId, { skips: false });
 }
 
 /**
- * Vote on a segment
+ * Cast, change or retract a visitor's vote on a segment (one vote per visitor)
+ * @param {string} id - Title ID (episode IDs accepted)
+ * @param {string} segmentId - Segment ID
+ * @param {string|null} voteType - 'up', 'down', or null to retract
+ * @param {string} visitorId - Hashed visitor ID
+ * @returns {object} { success, changed, vote, votes: { up, down } } or { success: false, reason: 'not_found' }
  */
-async function voteSegment(imdbId, segmentId, voteType, visitorId) {
+async function voteSegment(id, segmentId, voteType, visitorId) {
+  const { imdbId } = parseContentId(id);
+  
+  const result = isPostgresAvailable()
+    ? await voteSegmentPostgres(imdbId, segmentId, voteType, visitorId)
+    : jsonDb.voteSegment(imdbId, segmentId, voteType, visitorId);
+  
+  if (!result.success || !result.changed) return result;
+  
+  await autoApprove(imdbId, segmentId);
+  
+  // Votes move a segment's confidence, which decides whether it passes a viewer's minConfidence
+  return afterWrite(result, imdbId, { lists: false });
+}
+
+/**
+ * Record a vote in the Vote table and keep the segment's tallies in step
+ */
+async function voteSegmentPostgres(imdbId, segmentId, voteType, visitorId) {
+  const prisma = getClient();
+  
+  const segment = await prisma.segment.findUnique({
+    where: { id: segmentId },
+    include: { title: { select: { imdbId: true } } },
+  });
+  if (!segment || segment.title.imdbId !== imdbId) {
+    return { success: false, reason: 'not_found' };
+  }
+  
+  const where = { visitorId_segmentId: { visitorId, segmentId } };
+  const existingVote = await prisma.vote.findUnique({ where });
+  const previous = existingVote ? existingVote.voteType : null;
+  
+  // Same vote again (or retracting a vote that was never cast)
+  if (previous === voteType) {
+    return {
+      success: true,
+      changed: false,
+      vote: previous,
+      votes: { up: segment.upvotes, down: segment.downvotes },
+    };
+  }
+  
+  const tallies = {};
+  if (previous) tallies[`${previous}votes`] = { decrement: 1 };
+  if (voteType) tallies[`${voteType}votes`] = { increment: 1 };
+  
+  let voteChange;
+  if (!voteType) {
+    voteChange = prisma.vote.delete({ where });
+  } else if (previous) {
+    voteChange = prisma.vote.update({ where, data: { voteType } });
+  } else {
+    voteChange = prisma.vote.create({ data: { visitorId, segmentId, voteType } });
+  }
+  
+  const [, updated] = await prisma.$transaction([
+    voteChange,
+    prisma.segment.update({ where: { id: segmentId }, data: tallies }),
+  ]);
+  
+  return {
+    success: true,
+    changed: true,
+    vote: voteType,
+    votes: { up: updated.upvotes, down: updated.downvotes },
+  };
+}
+
+/**
+ * Approve a pending segment once it has collected enough upvotes
+ * Only upvotes from distinct IPs count: X-Visitor-Token voters are free to rotate tokens
+ * @returns {object|null} Result of the approval, or null if it wasn't approved
+ */
+async function autoApprove(imdbId, segmentId) {
+  if (!AUTO_APPROVE_UPVOTES) return null;
+  
+  const found = await getSegment(segmentId, imdbId);
+  if (!found || found.segment.status !== 'pending') return null;
+  
+  const voters = await getVoters(imdbId, segmentId);
+  const up = Object.entries(voters)
+    .filter(([visitorId, voteType]) => voteType === 'up' && !isTokenVisitor(visitorId))
+    .length;
+  const { down = 0 } = found.segment.votes || {};
+  if (up < AUTO_APPROVE_UPVOTES || up <= down) return null;
+  
+  return moderateSegment(segmentId, 'approved', {
+    moderatedBy: AUTO_APPROVER,
+    reason: `${up} upvotes`,
+  });
+}
+
+/**
+ * Who voted what on a segment
+ * @returns {object} { [visitorId]: 'up' | 'down' }
+ */
+async function getVoters(imdbId, segmentId) {
   if (!isPostgresAvailable()) {
-    return jsonDb.voteSegment(imdbId, segmentId, voteType);
+    return jsonDb.getFilters(imdbId)?.voters?.[segmentId] || {};
   }
   
   const prisma = getClient();
+  const votes = await prisma.vote.findMany({ where: { segmentId } });
+  return Object.fromEntries(votes.map(vote => [vote.visitorId, vote.voteType]));
+}
+
+/**
+ * Shape a Segment row like the segments in filter data
+ */
+function formatSegment(seg) {
+  return {
+    id: seg.id,
+    season: seg.season,
+    episode: seg.episode,
+    startMs: seg.startMs,
+    endMs: seg.endMs,
+    category: seg.category,
+    subcategory: seg.subcategory,
+    severity: seg.severity,
+    channel: seg.channel,
+    comment: seg.comment,
+    contributor: seg.contributor,
+    releaseId: seg.releaseId,
+    votes: { up: seg.upvotes, down: seg.downvotes },
+    verified: seg.verified,
+    verifiedBy: seg.verifiedBy,
+    verifiedAt: seg.verifiedAt,
+    status: seg.status,
+    moderatedBy: seg.moderatedBy,
+    moderatedAt: seg.moderatedAt,
+    moderationReason: seg.moderationReason,
+    mergedInto: seg.mergedIntoId,
+    ...(seg.sources?.length && { sources: seg.sources.map(s => s.id) }),
+    createdAt: seg.createdAt,
+  };
+}
+
+/**
+ * Find a segment by ID
+ * @param {string} segmentId - Segment ID
+ * @param {string} imdbIdHint - Title the segment belongs to, when known
+ * @returns {object|null} { imdbId, segment } or null if not found
+ */
+async function getSegment(segmentId, imdbIdHint = null) {
+  if (!isPostgresAvailable()) {
+    const found = jsonDb.findSegment(segmentId, imdbIdHint);
+    return found && { imdbId: found.imdbId, segment: found.segment };
+  }
   
-  // Check for existing vote
-  const existingVote = await prisma.vote.findUnique({
-    where: {
-      visitorId_segmentId: {
-        visitorId,
-        segmentId,
-      },
-    },
+  const prisma = getClient();
+  
+  const segment = await prisma.segment.findUnique({
+    where: { id: segmentId },
+    include: { title: { select: { imdbId: true } } },
   });
+  if (!segment) return null;
   
-  if (existingVote) {
-    // Already voted
-    if (existingVote.voteType === voteType) {
-      return { success: false, reason: 'already_voted' };
-    }
+  return { imdbId: segment.title.imdbId, segment: formatSegment(segment) };
+}
+
+/**
+ * Delete a segment
+ * @returns {object|null} { imdbId, segment } or null if not found
+ */
+async function deleteSegment(segmentId) {
+  if (!isPostgresAvailable()) {
+    const result = jsonDb.deleteSegment(segmentId);
+    return result && afterWrite(result, result.imdbId);
+  }
+  
+  const prisma = getClient();
+  
+  const existing = await prisma.segment.findUnique({
+    where: { id: segmentId },
+    include: { title: { select: { imdbId: true } } },
+  });
+  if (!existing) return null;
+  
+  await prisma.segment.delete({ where: { id: segmentId } });
+  
+  const imdbId = existing.title.imdbId;
+  return afterWrite({ imdbId, segment: formatSegment(existing) }, imdbId);
+}
+
+/**
+ * Delete every segment by a contributor (admin function)
+ * Consensus segments merged from them are dropped, and the rest of their sources merged again
+ * @param {object} options - { imdbId } limits the deletion to one title
+ * @returns {object} { deleted, titles: [{ imdbId, deleted }] }
+ */
+async function deleteSegmentsByContributor(contributor, { imdbId = null } = {}) {
+  let titles;
+  
+  if (!isPostgresAvailable()) {
+    titles = jsonDb.deleteSegmentsByContributor(contributor, imdbId);
+  } else {
+    const prisma = getClient();
     
-    // Changing vote
+    const where = { contributor, ...(imdbId && { title: { imdbId } }) };
+    const segments = await prisma.segment.findMany({
+      where,
+      select: { mergedIntoId: true, title: { select: { imdbId: true } } },
+    });
+    const stale = [...new Set(segments.map(seg => seg.mergedIntoId).filter(Boolean))];
     await prisma.$transaction([
-      prisma.vote.update({
-        where: {
-          visitorId_segmentId: { visitorId, segmentId },
-        },
-        data: { voteType },
-      }),
-      prisma.segment.update({
-        where: { id: segmentId },
-        data: {
-          upvotes: voteType === 'up' ? { increment: 1 } : { decrement: 1 },
-          downvotes: voteType === 'down' ? { increment: 1 } : { decrement: 1 },
-        },
-      }),
+      prisma.segment.deleteMany({ where }),
+      prisma.segment.deleteMany({ where: { id: { in: stale } } }),
     ]);
     
-    return { success: true, changed: true };
+    const counts = new Map();
+    for (const seg of segments) {
+      counts.set(seg.title.imdbId, (counts.get(seg.title.imdbId) || 0) + 1);
+    }
+    titles = [...counts].map(([imdbId, deleted]) => ({ imdbId, deleted }));
   }
   
-  // New vote
-  await prisma.$transaction([
-    prisma.vote.create({
-      data: {
-        visitorId,
-        segmentId,
-        voteType,
-      },
-    }),
+  for (const { imdbId } of titles) {
+    await mergeDuplicates(imdbId);
+    await cache.invalidateTitle(imdbId);
+  }
+  if (titles.length > 0) {
+    await cache.invalidateLists();
+  }
+  
+  return {
+    deleted: titles.reduce((sum, t) => sum + t.deleted, 0),
+    titles,
+  };
+}
+
+/**
+ * Verify a segment (admin function)
+ * @returns {object|null} { imdbId, segment } or null if not found
+ */
+async function verifySegment(segmentId, verifiedBy) {
+  return setVerification(segmentId, verifiedBy);
+}
+
+/**
+ * Withdraw a segment's verification (admin function)
+ * @returns {object|null} { imdbId, segment } or null if not found
+ */
+async function unverifySegment(segmentId) {
+  return setVerification(segmentId, null);
+}
+
+/**
+ * Set or clear the verification of a segment
+ */
+async function setVerification(segmentId, verifiedBy) {
+  if (!isPostgresAvailable()) {
+    const result = jsonDb.setSegmentVerified(segmentId, verifiedBy);
+    return result && afterWrite(result, result.imdbId);
+  }
+  
+  const prisma = getClient();
+  
+  const existing = await prisma.segment.findUnique({ where: { id: segmentId } });
+  if (!existing) return null;
+  
+  const segment = await prisma.segment.update({
+    where: { id: segmentId },
+    data: {
+      verified: !!verifiedBy,
+      verifiedBy: verifiedBy || null,
+      verifiedAt: verifiedBy ? new Date() : null,
+    },
+    include: { title: { select: { imdbId: true } } },
+  });
+  
+  const imdbId = segment.title.imdbId;
+  return afterWrite({ imdbId, segment: formatSegment(segment) }, imdbId);
+}
+
+/**
+ * Edit a segment, recording the change as a revision (who, when, before/after)
+ * @param {string} segmentId - Segment ID
+ * @param {object} changes - Any of startMs, endMs, category, subcategory, severity, channel, comment
+ * @param {object} revisionInfo - { editor, visitorId, revertOf }
+ * @returns {object|null} { imdbId, before, segment, revision } or null if not found
+ */
+async function updateSegment(segmentId, changes, revisionInfo = {}) {
+  if (!isPostgresAvailable()) {
+    const result = jsonDb.editSegment(segmentId, changes, revisionInfo);
+    return result && afterWrite(result, result.imdbId, { lists: false });
+  }
+  
+  const prisma = getClient();
+  
+  const existing = await prisma.segment.findUnique({ where: { id: segmentId } });
+  if (!existing) return null;
+  
+  const [segment, revision] = await prisma.$transaction([
     prisma.segment.update({
       where: { id: segmentId },
+      data: changes,
+      include: { title: { select: { imdbId: true } } },
+    }),
+    prisma.segmentRevision.create({
       data: {
-        [voteType === 'up' ? 'upvotes' : 'downvotes']: { increment: 1 },
+        segmentId,
+        editor: revisionInfo.editor || 'anonymous',
+        visitorId: revisionInfo.visitorId || null,
+        before: Object.fromEntries(Object.keys(changes).map(f => [f, existing[f] ?? null])),
+        after: changes,
+        revertOf: revisionInfo.revertOf || null,
       },
     }),
   ]);
   
-  return { success: true };
+  const imdbId = segment.title.imdbId;
+  return afterWrite({
+    imdbId,
+    before: formatSegment(existing),
+    segment: formatSegment(segment),
+    revision,
+  }, imdbId, { lists: false });
 }
 
 /**
- * Delete a segment
+ * List a segment's revisions, oldest first
+ * @returns {object|null} { imdbId, segment, revisions } or null if the segment doesn't exist
  */
-async function deleteSegment(segmentId) {
+async function listRevisions(segmentId) {
   if (!isPostgresAvailable()) {
-    // Not implemented for JSON storage
-    return false;
+    return jsonDb.listRevisions(segmentId);
   }
   
   const prisma = getClient();
   
-  await prisma.segment.delete({
+  const segment = await prisma.segment.findUnique({
     where: { id: segmentId },
+    include: {
+      title: { select: { imdbId: true } },
+      revisions: { orderBy: { createdAt: 'asc' } },
+    },
   });
+  if (!segment) return null;
   
-  return true;
+  return {
+    imdbId: segment.title.imdbId,
+    segment: formatSegment(segment),
+    revisions: segment.revisions,
+  };
 }
 
 /**
- * Verify a segment (admin function)
+ * Revert a segment to how it was before a revision, undoing it and every later change
+ * The revert is itself recorded as a new revision
+ * @param {string} segmentId - Segment ID
+ * @param {string} revisionId - Revision to undo
+ * @param {object} revisionInfo - { editor, visitorId }
+ * @returns {object} { success, imdbId, segment, revision } or { success: false, reason }
  */
-async function verifySegment(segmentId, verifiedBy) {
+async function revertSegment(segmentId, revisionId, revisionInfo = {}) {
+  const history = await listRevisions(segmentId);
+  if (!history) return { success: false, reason: 'not_found' };
+  
+  const index = history.revisions.findIndex(r => r.id === revisionId);
+  if (index === -1) return { success: false, reason: 'revision_not_found' };
+  
+  // The oldest value of each field touched since then is what it was before the revision
+  const restore = {};
+  for (const revision of history.revisions.slice(index)) {
+    for (const [field, value] of Object.entries(revision.before)) {
+      if (!(field in restore)) restore[field] = value;
+    }
+  }
+  
+  const changes = Object.fromEntries(
+    Object.entries(restore).filter(([field, value]) => (history.segment[field] ?? null) !== value)
+  );
+  if (Object.keys(changes).length === 0) {
+    return { success: false, reason: 'no_changes' };
+  }
+  
+  const result = await updateSegment(segmentId, changes, { ...revisionInfo, revertOf: revisionId });
+  return { success: true, ...result };
+}
+
+/**
+ * Approve or reject a segment
+ * @param {string} segmentId - Segment ID
+ * @param {string} status - 'approved', 'rejected' or 'pending' (back to the queue)
+ * @param {object} moderation - { moderatedBy, reason }
+ * @returns {object|null} { imdbId, segment } or null if not found
+ */
+async function moderateSegment(segmentId, status, { moderatedBy, reason = null } = {}) {
+  const changes = {
+    status,
+    moderatedBy: status === 'pending' ? null : moderatedBy,
+    moderatedAt: status === 'pending' ? null : new Date(),
+    moderationReason: reason,
+  };
+  
   if (!isPostgresAvailable()) {
-    return false;
+    const result = jsonDb.updateSegment(segmentId, {
+      ...changes,
+      moderatedAt: changes.moderatedAt && changes.moderatedAt.toISOString(),
+    });
+    return result && afterModeration(segmentId, status, result);
   }
   
   const prisma = getClient();
   
-  await prisma.segment.update({
+  const existing = await prisma.segment.findUnique({ where: { id: segmentId } });
+  if (!existing) return null;
+  
+  const segment = await prisma.segment.update({
     where: { id: segmentId },
+    data: changes,
+    include: { title: { select: { imdbId: true } } },
+  });
+  
+  return afterModeration(segmentId, status, { imdbId: segment.title.imdbId, segment: formatSegment(segment) });
+}
+
+/**
+ * Merge a newly approved segment with its near-duplicates, then invalidate the title's caches
+ * Contributions and imports are stored pending, so approval is when they can first join a consensus.
+ */
+async function afterModeration(segmentId, status, { imdbId, segment }) {
+  if (status !== 'approved') return afterWrite({ imdbId, segment }, imdbId);
+  
+  const consensus = await mergeDuplicates(imdbId);
+  const merged = consensus.merged > 0 ? await getSegment(segmentId, imdbId) : null;
+  return afterWrite({ imdbId, segment: merged?.segment || segment }, imdbId);
+}
+
+/**
+ * List segments awaiting moderation (or with another status), oldest first
+ * @param {object} filter - { status, imdbId, contributor, category, createdBefore, createdAfter, limit, offset }
+ * Unlike public filter data, queued segments carry matchedWords: the wordlist entries behind a generated segment
+ * @returns {object} { segments: [{ ...segment, matchedWords, imdbId, title }], total }
+ */
+async function listModerationQueue(filter = {}) {
+  const {
+    status = 'pending',
+    imdbId,
+    contributor,
+    category,
+    createdBefore,
+    createdAfter,
+    limit = 50,
+    offset = 0,
+  } = filter;
+  
+  if (!isPostgresAvailable()) {
+    const matches = jsonDb.findSegments((seg, data) => {
+      const createdAt = new Date(seg.createdAt || seg.addedAt || data.createdAt);
+      return (seg.status || 'approved') === status &&
+        !seg.mergedInto &&
+        (!imdbId || data.imdbId === imdbId) &&
+        (!contributor || seg.contributor === contributor) &&
+        (!category || seg.category === category) &&
+        (!createdBefore || createdAt <= createdBefore) &&
+        (!createdAfter || createdAt >= createdAfter);
+    });
+    
+    const createdAt = m => new Date(m.segment.createdAt || m.segment.addedAt || 0);
+    matches.sort((a, b) => createdAt(a) - createdAt(b));
+    
+    return {
+      segments: matches
+        .slice(offset, offset + limit)
+        .map(m => ({
+          ...m.segment,
+          matchedWords: jsonDb.getFilters(m.imdbId)?.matchedWords?.[m.segment.id],
+          imdbId: m.imdbId,
+          title: m.title,
+        })),
+      total: matches.length,
+    };
+  }
+  
+  const prisma = getClient();
+  
+  const where = {
+    status,
+    mergedIntoId: null,
+    ...(imdbId && { title: { imdbId } }),
+    ...(contributor && { contributor }),
+    ...(category && { category }),
+    ...((createdBefore || createdAfter) && {
+      createdAt: {
+        ...(createdBefore && { lte: createdBefore }),
+        ...(createdAfter && { gte: createdAfter }),
+      },
+    }),
+  };
+  
+  const [segments, total] = await Promise.all([
+    prisma.segment.findMany({
+      where,
+      include: { title: { select: { imdbId: true, title: true } } },
+      orderBy: { createdAt: 'asc' },
+      skip: offset,
+      take: limit,
+    }),
+    prisma.segment.count({ where }),
+  ]);
+  
+  return {
+    segments: segments.map(seg => ({
+      ...formatSegment(seg),
+      matchedWords: seg.matchedWords ?? undefined,
+      imdbId: seg.title.imdbId,
+      title: seg.title.title,
+    })),
+    total,
+  };
+}
+
+/**
+ * Record a request to a rate-limited endpoint
+ * JSON storage keeps no usage history
+ * @param {string} visitorId - Hashed visitor ID
+ * @param {string} endpoint - Rate limit name (contribute, mcf, vote, edit)
+ */
+async function recordApiUsage(visitorId, endpoint) {
+  if (!isPostgresAvailable()) {
+    return null;
+  }
+  
+  const prisma = getClient();
+  
+  return prisma.apiUsage.create({
+    data: { visitorId, endpoint },
+  });
+}
+
+/**
+ * Record an admin action in the audit trail
+ * @param {object} entry - { admin, action, imdbId, segmentId, details }
+ */
+async function logAdminAction(entry) {
+  if (!isPostgresAvailable()) {
+    return jsonDb.logAdminAction(entry);
+  }
+  
+  const prisma = getClient();
+  
+  return prisma.adminAction.create({
     data: {
-      verified: true,
-      verifiedBy,
-      verifiedAt: new Date(),
+      admin: entry.admin,
+      action: entry.action,
+      imdbId: entry.imdbId || null,
+      segmentId: entry.segmentId || null,
+      details: entry.details,
     },
   });
+}
+
+/**
+ * List admin actions, newest first
+ * @param {object} filter - { admin, imdbId, limit }
+ */
+async function listAdminActions({ admin, imdbId, limit = 100 } = {}) {
+  if (!isPostgresAvailable()) {
+    return jsonDb.listAdminActions({ admin, imdbId, limit });
+  }
+  
+  const prisma = getClient();
   
-  return true;
+  return prisma.adminAction.findMany({
+    where: {
+      ...(admin && { admin }),
+      ...(imdbId && { imdbId }),
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
 }
 
 /**
- * Get statistics
+ * Get statistics (cached)
  */
 async function getStats() {
+  return cache.remember(cache.keys.stats(), cache.CACHE_TTL.stats, loadStats);
+}
+
+/**
+ * Count titles and segments in storage
+ */
+async function loadStats() {
   if (!isPostgresAvailable()) {
     return jsonDb.getStats();
   }
@@ -314,9 +866,19 @@ async function getStats() {
 }
 
 /**
- * List all titles with filters
+ * List all titles with filters (cached per page and sort order)
  */
 async function listTitles(options = {}) {
+  const { limit = 100, offset = 0, hasSegments = true, sortBy = 'recent' } = options;
+  const page = `${sortBy}:${hasSegments ? 'with' : 'all'}:${offset}:${limit}`;
+  
+  return cache.remember(cache.keys.titles(page), cache.CACHE_TTL.titles, () => loadTitles(options));
+}
+
+/**
+ * Load a page of titles from storage
+ */
+async function loadTitles(options = {}) {
   if (!isPostgresAvailable()) {
     const ids = jsonDb.listAllFilters();
     return ids.map(id => ({ imdbId: id }));
@@ -402,14 +964,29 @@ async function searchTitles(query) {
 
 /**
  * Bulk import segments (for MCF imports)
+ * Segments may carry their own season/episode; an episode ID applies to all of them
  */
-async function bulkImportSegments(imdbId, segments, metadata = {}) {
+async function bulkImportSegments(id, segments, metadata = {}) {
+  const ref = parseContentId(id);
+  const imdbId = ref.imdbId;
+  if (ref.season !== null) {
+    segments = segments.map(seg => ({ ...seg, season: ref.season, episode: ref.episode }));
+  }
+  
   if (!isPostgresAvailable()) {
+    // Fill in metadata for titles we haven't seen yet
+    const data = jsonDb.getFilters(imdbId) || jsonDb.createEmptyFilterData(imdbId);
+    data.title = data.title || metadata.title || null;
+    data.year = data.year || metadata.year || null;
+    data.type = data.type || metadata.type || null;
+    jsonDb.saveFilters(imdbId, data);
+    
     // Fall back to individual inserts for JSON
     for (const seg of segments) {
       jsonDb.addSegment(imdbId, seg);
     }
-    return { imported: segments.length };
+    const consensus = await mergeDuplicates(imdbId);
+    return afterWrite({ imported: segments.length, merged: consensus.merged }, imdbId);
   }
   
   const prisma = getClient();
@@ -421,6 +998,8 @@ async function bulkImportSegments(imdbId, segments, metadata = {}) {
   const result = await prisma.segment.createMany({
     data: segments.map(seg => ({
       titleId: title.id,
+      season: seg.season ?? null,
+      episode: seg.episode ?? null,
       startMs: seg.startMs,
       endMs: seg.endMs,
       category: seg.category,
@@ -429,11 +1008,256 @@ async function bulkImportSegments(imdbId, segments, metadata = {}) {
       channel: seg.channel || 'both',
       comment: seg.comment,
       contributor: seg.contributor || 'bulk-import',
+      releaseId: seg.releaseId || null,
+      status: seg.status,
+      matchedWords: seg.matchedWords ?? undefined,
     })),
     skipDuplicates: true,
   });
   
-  return { imported: result.count };
+  const consensus = await mergeDuplicates(imdbId);
+  return afterWrite({ imported: result.count, merged: consensus.merged }, imdbId);
+}
+
+/**
+ * Merge a title's near-duplicate segments into consensus segments (see utils/consensus.js)
+ * @param {string} id - IMDB ID (an episode ID merges the whole title)
+ * @param {object} options - { toleranceMs }
+ * @returns {object} { imdbId, clusters, merged, segments } where merged counts the source segments
+ */
+async function mergeDuplicateSegments(id, options = {}) {
+  const { imdbId } = parseContentId(id);
+  const result = await mergeDuplicates(imdbId, options);
+  return result.clusters ? afterWrite(result, imdbId) : result;
+}
+
+/**
+ * Merge near-duplicates without invalidating caches, for callers that do that themselves
+ */
+async function mergeDuplicates(imdbId, options = {}) {
+  const summarize = (plan, segments) => ({
+    imdbId,
+    clusters: plan.length,
+    merged: plan.reduce((sum, entry) => sum + entry.sources.length, 0),
+    segments,
+  });
+  
+  if (!isPostgresAvailable()) {
+    const stored = jsonDb.getFilters(imdbId);
+    const plan = planConsensus(stored?.segments || [], options);
+    if (plan.length === 0) return summarize(plan, []);
+    
+    const segments = jsonDb.applyConsensus(imdbId, plan.map(entry => ({
+      segmentId: entry.segmentId,
+      fields: entry.fields,
+      sourceIds: entry.sources.map(s => s.id),
+      obsoleteIds: entry.obsoleteIds,
+      ...mergeVotes(entry, stored.voters),
+    })));
+    return summarize(plan, segments);
+  }
+  
+  const prisma = getClient();
+  
+  const title = await prisma.title.findUnique({
+    where: { imdbId },
+    include: { segments: { include: { sources: { select: { id: true } } } } },
+  });
+  const plan = planConsensus((title?.segments || []).map(formatSegment), options);
+  if (plan.length === 0) return summarize(plan, []);
+  
+  // Who voted on the sources, so nobody counts twice on the consensus segment
+  const votedIds = plan.flatMap(entry => [...entry.sources.map(s => s.id), entry.segmentId].filter(Boolean));
+  const votersBySegment = {};
+  for (const vote of await prisma.vote.findMany({ where: { segmentId: { in: votedIds } } })) {
+    votersBySegment[vote.segmentId] = { ...votersBySegment[vote.segmentId], [vote.visitorId]: vote.voteType };
+  }
+  
+  const segments = [];
+  for (const entry of plan) {
+    const { votes, voters } = mergeVotes(entry, votersBySegment);
+    const data = {
+      ...entry.fields,
+      upvotes: votes.up,
+      downvotes: votes.down,
+    };
+    
+    const segment = await prisma.$transaction(async (tx) => {
+      const consensus = entry.segmentId
+        ? await tx.segment.update({ where: { id: entry.segmentId }, data })
+        : await tx.segment.create({ data: { ...data, titleId: title.id } });
+      
+      await tx.segment.updateMany({
+        where: { id: { in: entry.sources.map(s => s.id) } },
+        data: { mergedIntoId: consensus.id },
+      });
+      if (entry.obsoleteIds.length > 0) {
+        await tx.segment.deleteMany({ where: { id: { in: entry.obsoleteIds } } });
+      }
+      await tx.vote.createMany({
+        data: Object.entries(voters).map(([visitorId, voteType]) => ({ visitorId, segmentId: consensus.id, voteType })),
+        skipDuplicates: true,
+      });
+      
+      return consensus;
+    });
+    
+    segments.push({ ...formatSegment(segment), sources: entry.sources.map(s => s.id) });
+  }
+  
+  return summarize(plan, segments);
+}
+
+/**
+ * Create or update a named release (e.g. a streaming service's cut) of a title
+ */
+async function upsertRelease(imdbId, releaseData) {
+  if (!isPostgresAvailable()) {
+    return afterWrite(jsonDb.upsertRelease(imdbId, releaseData), imdbId, { lists: false });
+  }
+  
+  const prisma = getClient();
+  
+  // Ensure title exists
+  const title = await getOrCreateTitle(imdbId);
+  
+  const release = await prisma.release.upsert({
+    where: {
+      titleId_name: { titleId: title.id, name: releaseData.name },
+    },
+    update: {
+      offsetMs: releaseData.offsetMs,
+      speedFactor: releaseData.speedFactor,
+      runtime: releaseData.runtime,
+    },
+    create: {
+      titleId: title.id,
+      name: releaseData.name,
+      offsetMs: releaseData.offsetMs || 0,
+      speedFactor: releaseData.speedFactor || 1,
+      runtime: releaseData.runtime,
+    },
+  });
+  
+  return afterWrite(release, imdbId, { lists: false });
+}
+
+/**
+ * List releases of a title
+ */
+async function listReleases(imdbId) {
+  if (!isPostgresAvailable()) {
+    return jsonDb.getFilters(imdbId)?.releases || [];
+  }
+  
+  const prisma = getClient();
+  
+  return prisma.release.findMany({
+    where: { title: { imdbId } },
+    orderBy: { name: 'asc' },
+  });
+}
+
+/**
+ * Update a release's name or timing
+ * @returns {object|null} Updated release or null if the title has no such release
+ */
+async function updateRelease(imdbId, releaseId, releaseData) {
+  if (!isPostgresAvailable()) {
+    return afterWrite(jsonDb.updateRelease(imdbId, releaseId, releaseData), imdbId, { lists: false });
+  }
+  
+  const prisma = getClient();
+  
+  const release = await prisma.release.findFirst({
+    where: { id: releaseId, title: { imdbId } },
+  });
+  if (!release) return null;
+  
+  const updated = await prisma.release.update({
+    where: { id: releaseId },
+    data: {
+      name: releaseData.name,
+      runtime: releaseData.runtime,
+      offsetMs: releaseData.offsetMs,
+      speedFactor: releaseData.speedFactor,
+    },
+  });
+  
+  return afterWrite(updated, imdbId, { lists: false });
+}
+
+/**
+ * Delete a release
+ * Refused while segments are still timed against it, since they'd silently shift
+ */
+async function deleteRelease(imdbId, releaseId) {
+  if (!isPostgresAvailable()) {
+    return afterWrite(jsonDb.deleteRelease(imdbId, releaseId), imdbId, { lists: false });
+  }
+  
+  const prisma = getClient();
+  
+  const release = await prisma.release.findFirst({
+    where: { id: releaseId, title: { imdbId } },
+    include: { _count: { select: { segments: true } } },
+  });
+  
+  if (!release) return { success: false, reason: 'not_found' };
+  if (release._count.segments > 0) {
+    return { success: false, reason: 'in_use', segments: release._count.segments };
+  }
+  
+  await prisma.release.delete({ where: { id: releaseId } });
+  return afterWrite({ success: true }, imdbId, { lists: false });
+}
+
+/**
+ * Get the MCF START/END markers of a title or episode
+ * @param {string} id - tt1234567, or tt1234567:1:2 for an episode
+ * @returns {object|null} { start, end } in milliseconds, or null if none were stored
+ */
+async function getMarkers(id) {
+  const { imdbId, season, episode } = parseContentId(id);
+  const contentId = formatContentId(imdbId, season, episode);
+  
+  if (!isPostgresAvailable()) {
+    return jsonDb.getFilters(imdbId)?.markers?.[contentId] || null;
+  }
+  
+  const prisma = getClient();
+  
+  const markers = await prisma.timelineMarkers.findUnique({ where: { contentId } });
+  return markers ? { start: markers.startMs, end: markers.endMs } : null;
+}
+
+/**
+ * Store the MCF START/END markers of a title or episode
+ * @param {string} id - tt1234567, or tt1234567:1:2 for an episode
+ * @param {object} markers - { start, end } in milliseconds (either may be null)
+ */
+async function setMarkers(id, markers) {
+  const { imdbId, season, episode } = parseContentId(id);
+  const contentId = formatContentId(imdbId, season, episode);
+  
+  if (!isPostgresAvailable()) {
+    return afterWrite(jsonDb.setMarkers(imdbId, contentId, markers), imdbId, { skips: false, lists: false });
+  }
+  
+  const prisma = getClient();
+  
+  // Ensure title exists
+  const title = await getOrCreateTitle(imdbId);
+  
+  const fields = { startMs: markers.start ?? null, endMs: markers.end ?? null };
+  const stored = await prisma.timelineMarkers.upsert({
+    where: { contentId },
+    update: fields,
+    create: { contentId, titleId: title.id, ...fields },
+  });
+  
+  // Markers don't change which skips apply
+  return afterWrite({ start: stored.startMs, end: stored.endMs }, imdbId, { skips: false, lists: false });
 }
 
 module.exports = {
@@ -443,10 +1267,28 @@ module.exports = {
   addSegment,
   updateTitleMetadata,
   voteSegment,
+  getSegment,
   deleteSegment,
+  deleteSegmentsByContributor,
   verifySegment,
+  unverifySegment,
+  updateSegment,
+  listRevisions,
+  revertSegment,
+  moderateSegment,
+  listModerationQueue,
+  logAdminAction,
+  listAdminActions,
+  recordApiUsage,
   getStats,
   listTitles,
   searchTitles,
   bulkImportSegments,
+  mergeDuplicateSegments,
+  upsertRelease,
+  listReleases,
+  updateRelease,
+  deleteRelease,
+  getMarkers,
+  setMarkers,
 };
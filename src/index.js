@@ -17,10 +17,14 @@ const { serveHTTP, getRouter } = require('stremio-addon-sdk');
 const cors = require('cors');
 const express = require('express');
 
-const { builder, manifest } = require('./addon/manifest');
+const { builder } = require('./addon/manifest');
 const { subtitlesHandler } = require('./addon/subtitlesHandler');
 const { catalogHandler } = require('./addon/catalogHandler');
+const { streamHandler } = require('./addon/streamHandler');
+const { createConfigRouter } = require('./addon/configRouter');
 const apiRoutes = require('./api/routes');
+const adminRoutes = require('./api/admin');
+const sponsorBlockRoutes = require('./api/sponsorBlock');
 const db = require('./database');
 const cache = require('./cache');
 
@@ -34,12 +38,21 @@ builder.defineCatalogHandler(catalogHandler);
 // Register the subtitles handler
 builder.defineSubtitlesHandler(subtitlesHandler);
 
+// Register the stream handler (carries skipSegments for players that support it)
+builder.defineStreamHandler(streamHandler);
+
 // Get the addon interface
 const addonInterface = builder.getInterface();
 
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, trust it for client IPs (rate limiting, visitor IDs)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Enable CORS for all routes
 app.use(cors());
 
@@ -48,7 +61,9 @@ app.get('/', (req, res) => {
   res.redirect('/configure');
 });
 
-// Mount API routes
+// Mount API routes (admin routes require an ADMIN_TOKENS token)
+app.use('/api/admin', adminRoutes);
+app.use('/api', sponsorBlockRoutes);
 app.use('/api', apiRoutes);
 
 // Serve a simple configuration page
@@ -140,19 +155,27 @@ app.get('/configure', (req, res) => {
     
     <div class="card">
       <h3>Filter Settings</h3>
-      <p style="color: #8892b0; font-size: 0.9em;">Choose what content you want to skip. Higher settings skip more content.</p>
+      <p style="color: #8892b0; font-size: 0.9em;">Choose what content you want to skip. Higher settings skip more content. Auto mutes scenes that are only offensive to hear and skips the rest.</p>
       
       <div class="filter-row">
         <div>
           <div class="filter-label">🔞 Nudity</div>
           <div class="filter-desc">Bare skin, nudity</div>
         </div>
-        <select id="nudity">
-          <option value="off">Off</option>
-          <option value="low">Low</option>
-          <option value="medium">Medium</option>
-          <option value="high" selected>High (all)</option>
-        </select>
+        <div>
+          <select id="nudity">
+            <option value="off">Off</option>
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high" selected>High (all)</option>
+          </select>
+          <select id="nudity-action" title="What to do with matching scenes">
+            <option value="" selected>Auto</option>
+            <option value="skip">Skip</option>
+            <option value="mute">Mute</option>
+            <option value="warn">Warn</option>
+          </select>
+        </div>
       </div>
       
       <div class="filter-row">
@@ -160,12 +183,20 @@ app.get('/configure', (req, res) => {
           <div class="filter-label">💋 Sexual Content</div>
           <div class="filter-desc">Sexual scenes, intimacy</div>
         </div>
-        <select id="sex">
-          <option value="off">Off</option>
-          <option value="low">Low</option>
-          <option value="medium">Medium</option>
-          <option value="high" selected>High (all)</option>
-        </select>
+        <div>
+          <select id="sex">
+            <option value="off">Off</option>
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high" selected>High (all)</option>
+          </select>
+          <select id="sex-action" title="What to do with matching scenes">
+            <option value="" selected>Auto</option>
+            <option value="skip">Skip</option>
+            <option value="mute">Mute</option>
+            <option value="warn">Warn</option>
+          </select>
+        </div>
       </div>
       
       <div class="filter-row">
@@ -173,12 +204,20 @@ app.get('/configure', (req, res) => {
           <div class="filter-label">⚔️ Violence</div>
           <div class="filter-desc">Fighting, blood, gore</div>
         </div>
-        <select id="violence">
-          <option value="off">Off</option>
-          <option value="low">Low</option>
-          <option value="medium" selected>Medium</option>
-          <option value="high">High (all)</option>
-        </select>
+        <div>
+          <select id="violence">
+            <option value="off">Off</option>
+            <option value="low">Low</option>
+            <option value="medium" selected>Medium</option>
+            <option value="high">High (all)</option>
+          </select>
+          <select id="violence-action" title="What to do with matching scenes">
+            <option value="" selected>Auto</option>
+            <option value="skip">Skip</option>
+            <option value="mute">Mute</option>
+            <option value="warn">Warn</option>
+          </select>
+        </div>
       </div>
       
       <div class="filter-row">
@@ -186,12 +225,20 @@ app.get('/configure', (req, res) => {
           <div class="filter-label">🤬 Language</div>
           <div class="filter-desc">Profanity, slurs</div>
         </div>
-        <select id="language">
-          <option value="off" selected>Off</option>
-          <option value="low">Low</option>
-          <option value="medium">Medium</option>
-          <option value="high">High (all)</option>
-        </select>
+        <div>
+          <select id="language">
+            <option value="off" selected>Off</option>
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high">High (all)</option>
+          </select>
+          <select id="language-action" title="What to do with matching scenes">
+            <option value="" selected>Auto</option>
+            <option value="skip">Skip</option>
+            <option value="mute">Mute</option>
+            <option value="warn">Warn</option>
+          </select>
+        </div>
       </div>
       
       <div class="filter-row">
@@ -199,12 +246,20 @@ app.get('/configure', (req, res) => {
           <div class="filter-label">💊 Drugs</div>
           <div class="filter-desc">Drug/alcohol use</div>
         </div>
-        <select id="drugs">
-          <option value="off" selected>Off</option>
-          <option value="low">Low</option>
-          <option value="medium">Medium</option>
-          <option value="high">High (all)</option>
-        </select>
+        <div>
+          <select id="drugs">
+            <option value="off" selected>Off</option>
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high">High (all)</option>
+          </select>
+          <select id="drugs-action" title="What to do with matching scenes">
+            <option value="" selected>Auto</option>
+            <option value="skip">Skip</option>
+            <option value="mute">Mute</option>
+            <option value="warn">Warn</option>
+          </select>
+        </div>
       </div>
       
       <div class="filter-row">
@@ -212,11 +267,125 @@ app.get('/configure', (req, res) => {
           <div class="filter-label">👻 Frightening</div>
           <div class="filter-desc">Scary scenes, jumpscares</div>
         </div>
-        <select id="fear">
+        <div>
+          <select id="fear">
+            <option value="off" selected>Off</option>
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high">High (all)</option>
+          </select>
+          <select id="fear-action" title="What to do with matching scenes">
+            <option value="" selected>Auto</option>
+            <option value="skip">Skip</option>
+            <option value="mute">Mute</option>
+            <option value="warn">Warn</option>
+          </select>
+        </div>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">⏩ Intros</div>
+          <div class="filter-desc">Opening titles and theme songs</div>
+        </div>
+        <select id="intro">
           <option value="off" selected>Off</option>
-          <option value="low">Low</option>
-          <option value="medium">Medium</option>
-          <option value="high">High (all)</option>
+          <option value="on">Skip</option>
+        </select>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">🔁 Recaps</div>
+          <div class="filter-desc">"Previously on..." catch-ups</div>
+        </div>
+        <select id="recap">
+          <option value="off" selected>Off</option>
+          <option value="on">Skip</option>
+        </select>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">🎬 Outros</div>
+          <div class="filter-desc">Closing scenes after the story ends</div>
+        </div>
+        <select id="outro">
+          <option value="off" selected>Off</option>
+          <option value="on">Skip</option>
+        </select>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">📜 Credits</div>
+          <div class="filter-desc">End credits</div>
+        </div>
+        <select id="credits">
+          <option value="off" selected>Off</option>
+          <option value="on">Skip</option>
+        </select>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">🕒 Unreviewed</div>
+          <div class="filter-desc">Contributions not yet approved by moderators</div>
+        </div>
+        <select id="unapproved">
+          <option value="exclude" selected>Exclude</option>
+          <option value="include">Include</option>
+        </select>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">✅ Confidence</div>
+          <div class="filter-desc">Only use segments the community trusts this much</div>
+        </div>
+        <select id="minConfidence">
+          <option value="0" selected>Any</option>
+          <option value="0.3">30%+</option>
+          <option value="0.5">50%+</option>
+          <option value="0.7">70%+</option>
+          <option value="0.9">90%+</option>
+        </select>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">📺 Release</div>
+          <div class="filter-desc">Where you watch, so skips match its timing</div>
+        </div>
+        <input type="text" id="release" placeholder="e.g. netflix" style="width: 140px; background: rgba(255,255,255,0.1); color: #fff; border: 1px solid rgba(255,255,255,0.2); border-radius: 6px; padding: 8px 12px; font-size: 14px;">
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">💬 Dialogue subtitles</div>
+          <div class="filter-desc">Adds a track with your subtitles and the warnings together</div>
+        </div>
+        <select id="subtitlesLang">
+          <option value="" selected>None</option>
+          <option value="eng">English</option>
+          <option value="spa">Spanish</option>
+          <option value="fre">French</option>
+          <option value="ger">German</option>
+          <option value="ita">Italian</option>
+          <option value="por">Portuguese</option>
+          <option value="dut">Dutch</option>
+          <option value="ara">Arabic</option>
+        </select>
+      </div>
+      
+      <div class="filter-row">
+        <div>
+          <div class="filter-label">🤐 Mask profanity</div>
+          <div class="filter-desc">Blank out swear words in subtitles during language scenes</div>
+        </div>
+        <select id="maskProfanity">
+          <option value="" selected>Off</option>
+          <option value="true">On</option>
         </select>
       </div>
     </div>
@@ -276,8 +445,29 @@ app.get('/configure', (req, res) => {
         language: document.getElementById('language').value,
         drugs: document.getElementById('drugs').value,
         fear: document.getElementById('fear').value,
+        intro: document.getElementById('intro').value,
+        recap: document.getElementById('recap').value,
+        outro: document.getElementById('outro').value,
+        credits: document.getElementById('credits').value,
+        unapproved: document.getElementById('unapproved').value,
+        minConfidence: parseFloat(document.getElementById('minConfidence').value),
       };
       
+      // Auto leaves it to the segment: audio-only scenes are muted, the rest skipped
+      const actions = {};
+      for (const category of ['nudity', 'sex', 'violence', 'language', 'drugs', 'fear']) {
+        const action = document.getElementById(category + '-action').value;
+        if (action) actions[category] = action;
+      }
+      if (Object.keys(actions).length > 0) config.actions = actions;
+      
+      const release = document.getElementById('release').value.trim();
+      if (release) config.release = release;
+      
+      const subtitlesLang = document.getElementById('subtitlesLang').value;
+      if (subtitlesLang) config.subtitlesLang = subtitlesLang;
+      if (document.getElementById('maskProfanity').value) config.maskProfanity = true;
+      
       // Encode config into the manifest URL
       const configStr = encodeURIComponent(JSON.stringify(config));
       const manifestUrl = BASE_URL + '/' + configStr + '/manifest.json';
@@ -303,6 +493,7 @@ app.get('/configure', (req, res) => {
     document.querySelectorAll('select').forEach(sel => {
       sel.addEventListener('change', updateInstallUrl);
     });
+    document.getElementById('release').addEventListener('input', updateInstallUrl);
     
     // Initial update
     updateInstallUrl();
@@ -312,24 +503,9 @@ app.get('/configure', (req, res) => {
   `);
 });
 
-// Mount the Stremio addon router
-// Handle configuration in URL (e.g., /{"nudity":"high"}/manifest.json)
-app.get('/:config/manifest.json', (req, res) => {
-  try {
-    const config = JSON.parse(decodeURIComponent(req.params.config));
-    // Return manifest with embedded config hint
-    res.json({
-      ...manifest,
-      behaviorHints: {
-        ...manifest.behaviorHints,
-        // Store user config for use in handlers
-        userConfig: config,
-      },
-    });
-  } catch (e) {
-    res.json(manifest);
-  }
-});
+// Mount the configured addon routes first
+// Handles the config prefix on every resource (e.g. /{"nudity":"high"}/subtitles/movie/tt0133093.json)
+app.use(createConfigRouter(addonInterface));
 
 // Mount Stremio SDK router for all other addon routes
 app.use(getRouter(addonInterface));
@@ -353,9 +529,9 @@ async function startServer() {
   if (cacheInitialized) {
     console.log('✅ Redis cache connected');
   } else if (process.env.REDIS_URL) {
-    console.warn('⚠️  REDIS_URL set but connection failed, caching disabled');
+    console.warn('⚠️  REDIS_URL set but connection failed, using in-process cache only');
   } else {
-    console.log('ℹ️  No REDIS_URL set, caching disabled');
+    console.log('ℹ️  No REDIS_URL set, using in-process cache only');
   }
 
   app.listen(PORT, () => {
@@ -367,7 +543,7 @@ async function startServer() {
     console.log(`⚙️  Configure:         ${BASE_URL}/configure`);
     console.log(`📊 API endpoint:      ${BASE_URL}/api`);
     console.log(`💾 Storage:           ${dbInitialized ? 'PostgreSQL' : 'JSON files'}`);
-    console.log(`⚡ Cache:             ${cacheInitialized ? 'Redis' : 'disabled'}`);
+    console.log(`⚡ Cache:             ${cacheInitialized ? 'Redis' : cache.isAvailable() ? 'memory' : 'disabled'}`);
     console.log('');
     console.log('📥 Install in Stremio:');
     console.log(`   stremio://${BASE_URL.replace(/^https?:\/\//, '')}/manifest.json`);
@@ -0,0 +1,98 @@
+/**
+ * Segment Confidence
+ * Scores how much a segment can be trusted, from 0 (almost certainly wrong) to 1
+ *
+ * Every segment starts from a prior that depends on where it came from. Votes only
+ * move it once they are conclusive: the Wilson score interval (95%) of the upvote
+ * share must lie entirely above or below the prior. Segments that stood for a while
+ * without being voted down gain a little, and verification by an admin counts most.
+ */
+
+// z for a 95% confidence interval
+const Z = 1.96;
+
+// Starting confidence by contributor (anything else is a named community contributor)
+const SOURCE_PRIORS = {
+  consensus: 0.6,
+  'videoskip-import': 0.6,
+  'mcf-import': 0.5,
+  'bulk-import': 0.5,
+  'transcript-scan': 0.45,
+  anonymous: 0.4,
+};
+const DEFAULT_PRIOR = 0.5;
+
+// Unchallenged segments gain up to AGE_BONUS over AGE_FULL_DAYS
+const AGE_BONUS = 0.1;
+const AGE_FULL_DAYS = 90;
+
+// Share of the remaining doubt an admin's verification removes
+const VERIFIED_WEIGHT = 0.8;
+
+/**
+ * Wilson score interval of the upvote share
+ * @returns {object} { lower, upper }, or null without votes
+ */
+function wilsonInterval(up, down) {
+  const n = up + down;
+  if (n === 0) return null;
+
+  const p = up / n;
+  const centre = p + (Z * Z) / (2 * n);
+  const margin = Z * Math.sqrt((p * (1 - p) + (Z * Z) / (4 * n)) / n);
+  const denominator = 1 + (Z * Z) / n;
+
+  return {
+    lower: (centre - margin) / denominator,
+    upper: (centre + margin) / denominator,
+  };
+}
+
+/**
+ * Compute a segment's confidence
+ * @param {object} segment - Segment with votes, verified, contributor, status and createdAt/addedAt
+ * @param {number} now - Reference time (ms), for testing
+ * @returns {number} Confidence between 0 and 1, rounded to two decimals
+ */
+function computeConfidence(segment, now = Date.now()) {
+  if (segment.status === 'rejected') return 0;
+
+  const prior = SOURCE_PRIORS[segment.contributor] ?? DEFAULT_PRIOR;
+  const up = segment.votes?.up || 0;
+  const down = segment.votes?.down || 0;
+
+  let confidence = prior;
+  const interval = wilsonInterval(up, down);
+  if (interval && interval.lower > prior) {
+    confidence = interval.lower;
+  } else if (interval && interval.upper < prior) {
+    confidence = interval.upper;
+  }
+
+  // Time without pushback only counts for segments the votes haven't turned against
+  const created = new Date(segment.createdAt || segment.addedAt || now).getTime();
+  if (confidence >= prior && down <= up) {
+    const ageDays = Math.max(0, now - created) / 86400000;
+    confidence = Math.min(1, confidence + AGE_BONUS * Math.min(ageDays / AGE_FULL_DAYS, 1));
+  }
+
+  if (segment.verified) {
+    confidence += (1 - confidence) * VERIFIED_WEIGHT;
+  }
+
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * Copy a segment with its confidence attached
+ */
+function withConfidence(segment, now = Date.now()) {
+  return { ...segment, confidence: computeConfidence(segment, now) };
+}
+
+module.exports = {
+  wilsonInterval,
+  computeConfidence,
+  withConfidence,
+  SOURCE_PRIORS,
+};
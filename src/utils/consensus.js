@@ -0,0 +1,224 @@
+/**
+ * Segment Consensus
+ * Finds contributions that describe the same moment and folds them into one segment
+ *
+ * Segments cluster when they are for the same episode, release, category and channel,
+ * overlap, and both their boundaries lie within the tolerance of the cluster's
+ * boundaries. A cluster becomes one consensus segment with the median boundaries and
+ * the severity most sources agree on. The sources stay stored, marked mergedInto the
+ * consensus segment, which lists them in `sources`; only the consensus segment produces
+ * skips. Only approved segments are merged, so pending contributions can't move
+ * boundaries the community already accepted; they are merged once they are approved.
+ */
+
+const { SEVERITIES } = require('./mcf');
+
+// Contributor name consensus segments are stored under
+const CONSENSUS_CONTRIBUTOR = 'consensus';
+
+// Boundaries closer than this (ms) count as the same moment
+const DEFAULT_TOLERANCE_MS = parseInt(process.env.CONSENSUS_TOLERANCE_MS) || 500;
+
+/**
+ * Median of a list of numbers, rounded to whole milliseconds
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Most frequent non-empty value, ties going to the one seen first
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value === null || value === undefined || value === '') continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+/**
+ * Severity most sources agree on; ties go to the higher severity
+ */
+function votedSeverity(sources) {
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  for (const source of sources) {
+    counts[source.severity || 'high']++;
+  }
+
+  // SEVERITIES runs low to high, so walking it backwards favours the higher one in a tie
+  return [...SEVERITIES].reverse().reduce((best, s) => (counts[s] > counts[best] ? s : best));
+}
+
+/**
+ * Whether two segments are close enough to describe the same moment
+ */
+function isNear(a, b, toleranceMs) {
+  return a.startMs < b.endMs && b.startMs < a.endMs &&
+    Math.abs(a.startMs - b.startMs) <= toleranceMs &&
+    Math.abs(a.endMs - b.endMs) <= toleranceMs;
+}
+
+/**
+ * Build the fields of a consensus segment from its sources
+ * @param {array} sources - Segments being merged (never consensus segments themselves)
+ * @returns {object} Segment fields, without id or votes
+ */
+function buildConsensus(sources) {
+  const [first] = sources;
+  const startMs = median(sources.map(s => s.startMs));
+  const endMs = Math.max(median(sources.map(s => s.endMs)), startMs + 1);
+  const verified = sources.find(s => s.verified);
+
+  return {
+    season: first.season ?? null,
+    episode: first.episode ?? null,
+    releaseId: first.releaseId || null,
+    startMs,
+    endMs,
+    category: first.category,
+    subcategory: mostCommon(sources.map(s => s.subcategory)) || first.category,
+    severity: votedSeverity(sources),
+    channel: first.channel || 'both',
+    comment: mostCommon(sources.map(s => s.comment)),
+    contributor: CONSENSUS_CONTRIBUTOR,
+    status: 'approved',
+    verified: !!verified,
+    verifiedBy: verified?.verifiedBy || null,
+    verifiedAt: verified?.verifiedAt || null,
+  };
+}
+
+/**
+ * Add up segments' votes so that no visitor counts twice
+ * @param {array} segments - Segments whose votes are combined
+ * @param {object} votersBySegment - { segmentId: { visitorId: 'up'|'down' } }
+ * @param {object} tally - Votes to add to (modified)
+ */
+function addVotes(segments, votersBySegment, tally = { votes: { up: 0, down: 0 }, voters: {} }) {
+  for (const segment of segments) {
+    tally.votes.up += segment.votes?.up || 0;
+    tally.votes.down += segment.votes?.down || 0;
+
+    // A visitor who voted on several of them keeps their first vote
+    for (const [visitorId, voteType] of Object.entries(votersBySegment[segment.id] || {})) {
+      if (tally.voters[visitorId]) {
+        tally.votes[voteType] = Math.max(0, tally.votes[voteType] - 1);
+      } else {
+        tally.voters[visitorId] = voteType;
+      }
+    }
+  }
+  return tally;
+}
+
+/**
+ * Votes for a consensus segment: its sources' votes, plus any cast on the consensus
+ * segment itself since it was last built
+ * @param {object} entry - Plan entry from planConsensus
+ * @param {object} votersBySegment - { segmentId: { visitorId: 'up'|'down' } }
+ * @returns {object} { votes: { up, down }, voters: { visitorId: voteType } }
+ */
+function mergeVotes(entry, votersBySegment = {}) {
+  const tally = addVotes(entry.sources, votersBySegment);
+  if (!entry.consensus) return tally;
+
+  const previous = addVotes(entry.previousSources, votersBySegment);
+  const direct = {
+    id: entry.consensus.id,
+    votes: {
+      up: Math.max(0, (entry.consensus.votes?.up || 0) - previous.votes.up),
+      down: Math.max(0, (entry.consensus.votes?.down || 0) - previous.votes.down),
+    },
+  };
+  const directVoters = Object.fromEntries(Object.entries(votersBySegment[direct.id] || {})
+    .filter(([visitorId]) => !previous.voters[visitorId]));
+
+  return addVotes([direct], { [direct.id]: directVoters }, tally);
+}
+
+/**
+ * Work out which segments of a title should be merged
+ * Existing consensus segments are re-built from their sources whenever new segments join them
+ * @param {array} segments - All of a title's segments, as stored
+ * @param {object} options - { toleranceMs }
+ * @returns {array} [{ segmentId, fields, sources, consensus, previousSources, obsoleteIds }]
+ *   where segmentId is the consensus segment to update (null to create one), previousSources
+ *   the sources it was built from before, and obsoleteIds consensus segments superseded by it
+ */
+function planConsensus(segments, { toleranceMs = DEFAULT_TOLERANCE_MS } = {}) {
+  const byId = new Map(segments.map(s => [s.id, s]));
+  const groups = new Map();
+
+  for (const segment of segments) {
+    if (segment.mergedInto || (segment.status || 'approved') !== 'approved') continue;
+
+    const key = [
+      segment.season ?? '',
+      segment.episode ?? '',
+      segment.releaseId || '',
+      segment.category,
+      segment.channel || 'both',
+    ].join(':');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(segment);
+  }
+
+  const plan = [];
+
+  for (const group of groups.values()) {
+    const clusters = [];
+
+    for (const segment of group.sort((a, b) => a.startMs - b.startMs)) {
+      const cluster = clusters.find(c => isNear(c, segment, toleranceMs));
+      if (!cluster) {
+        clusters.push({ startMs: segment.startMs, endMs: segment.endMs, members: [segment] });
+        continue;
+      }
+
+      cluster.members.push(segment);
+      cluster.startMs = median(cluster.members.map(m => m.startMs));
+      cluster.endMs = median(cluster.members.map(m => m.endMs));
+    }
+
+    for (const { members } of clusters) {
+      if (members.length < 2) continue;
+
+      const consensus = members.filter(m => m.contributor === CONSENSUS_CONTRIBUTOR && m.sources);
+      const sources = [...new Set(members.flatMap(m => (
+        consensus.includes(m) ? m.sources.map(id => byId.get(id)).filter(Boolean) : [m]
+      )))];
+      if (sources.length < 2) continue;
+
+      plan.push({
+        segmentId: consensus[0]?.id || null,
+        fields: buildConsensus(sources),
+        sources,
+        consensus: consensus[0] || null,
+        previousSources: consensus[0] ? sources.filter(s => consensus[0].sources.includes(s.id)) : [],
+        obsoleteIds: consensus.slice(1).map(m => m.id),
+      });
+    }
+  }
+
+  return plan;
+}
+
+module.exports = {
+  CONSENSUS_CONTRIBUTOR,
+  DEFAULT_TOLERANCE_MS,
+  planConsensus,
+  buildConsensus,
+  mergeVotes,
+  median,
+};
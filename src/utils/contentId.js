@@ -0,0 +1,72 @@
+/**
+ * Content ID helpers
+ * Stremio addresses movies as tt1234567 and series episodes as tt1234567:1:2
+ */
+
+/**
+ * Parse a Stremio content ID
+ * @param {string} id - tt1234567 or tt1234567:season:episode
+ * @returns {object} { imdbId, season, episode } with null season/episode for movies
+ */
+function parseContentId(id) {
+  const [imdbId, season, episode] = String(id).split(':');
+
+  const seasonNum = parseInt(season);
+  const episodeNum = parseInt(episode);
+
+  if (isNaN(seasonNum) || isNaN(episodeNum)) {
+    return { imdbId, season: null, episode: null };
+  }
+
+  return { imdbId, season: seasonNum, episode: episodeNum };
+}
+
+/**
+ * Build a Stremio content ID
+ * @param {string} imdbId - IMDB ID
+ * @param {number|null} season - Season number (null for movies)
+ * @param {number|null} episode - Episode number (null for movies)
+ */
+function formatContentId(imdbId, season = null, episode = null) {
+  if (season === null || season === undefined || episode === null || episode === undefined) {
+    return imdbId;
+  }
+  return `${imdbId}:${season}:${episode}`;
+}
+
+/**
+ * Check whether a stored segment belongs to the requested episode
+ * Title-level requests (no season/episode) match every segment
+ */
+function matchesEpisode(segment, season, episode) {
+  if (season === null || season === undefined) return true;
+  return segment.season === season && segment.episode === episode;
+}
+
+/**
+ * Pick one episode's segments from all of a series' segments
+ * Segments with a season but no episode are season-level patterns (e.g. the intro every
+ * episode shares). They apply to each episode of the season, except where the episode has
+ * an approved segment of its own in the same category, which overrides the pattern.
+ * @param {array} segments - All of the title's segments
+ * @returns {array} The episode's segments, by start time
+ */
+function selectEpisodeSegments(segments, season, episode) {
+  const own = segments.filter(seg => matchesEpisode(seg, season, episode));
+  const overridden = new Set(own
+    .filter(seg => (seg.status || 'approved') === 'approved')
+    .map(seg => seg.category));
+
+  const patterns = segments.filter(seg => seg.season === season &&
+    (seg.episode === null || seg.episode === undefined) &&
+    !overridden.has(seg.category));
+
+  return [...own, ...patterns].sort((a, b) => a.startMs - b.startMs);
+}
+
+module.exports = {
+  parseContentId,
+  formatContentId,
+  matchesEpisode,
+  selectEpisodeSegments,
+};
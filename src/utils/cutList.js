@@ -0,0 +1,156 @@
+/**
+ * Cut Lists
+ * Turns a viewer's skips into the ranges of a video to keep, for playing or rendering a clean copy
+ *
+ * Skips are cut out; mutes stay in the picture and are silenced with an audio volume filter
+ * instead, on the timeline of the cut video. Warnings change nothing. Skips come from
+ * generateSkips, so they are already timed to the viewer's release.
+ */
+
+/**
+ * Work out what to keep and what to silence
+ * @param {array} skips - The viewer's skips, from generateSkips
+ * @param {number|null} runtimeMs - Length of the video, if known; otherwise the last range runs to the end
+ * @returns {object} { kept: [{ startMs, endMs }], mutes: [{ startMs, endMs }], cutMs, mutedMs }
+ *   where the last kept range has endMs null if the runtime is unknown, and mutes are timed
+ *   to the cut video
+ */
+function buildCutList(skips, runtimeMs = null) {
+  const cuts = [];
+  for (const skip of skips.filter(s => (s.action || 'skip') === 'skip').sort((a, b) => a.startMs - b.startMs)) {
+    const last = cuts[cuts.length - 1];
+    if (last && skip.startMs <= last.endMs) {
+      last.endMs = Math.max(last.endMs, skip.endMs);
+    } else {
+      cuts.push({ startMs: skip.startMs, endMs: skip.endMs });
+    }
+  }
+
+  const kept = [];
+  let position = 0;
+  for (const cut of cuts) {
+    if (runtimeMs && cut.startMs >= runtimeMs) break;
+    if (cut.startMs > position) kept.push({ startMs: position, endMs: cut.startMs });
+    position = Math.max(position, cut.endMs);
+  }
+  if (!runtimeMs) {
+    kept.push({ startMs: position, endMs: null });
+  } else if (position < runtimeMs) {
+    kept.push({ startMs: position, endMs: runtimeMs });
+  }
+
+  // Mutes move earlier by everything cut before them, and lose any part that was cut
+  const mutes = [];
+  for (const skip of skips.filter(s => s.action === 'mute')) {
+    let outputMs = 0;
+    for (const range of kept) {
+      const endMs = range.endMs ?? Infinity;
+      const startMs = Math.max(skip.startMs, range.startMs);
+      const stopMs = Math.min(skip.endMs, endMs);
+      if (stopMs > startMs) {
+        mutes.push({ startMs: outputMs + startMs - range.startMs, endMs: outputMs + stopMs - range.startMs });
+      }
+      outputMs += endMs - range.startMs;
+    }
+  }
+  mutes.sort((a, b) => a.startMs - b.startMs);
+
+  const clip = ms => (runtimeMs ? Math.min(ms, runtimeMs) : ms);
+
+  return {
+    kept,
+    mutes,
+    cutMs: cuts.reduce((sum, c) => sum + clip(c.endMs) - clip(c.startMs), 0),
+    mutedMs: mutes.reduce((sum, m) => sum + m.endMs - m.startMs, 0),
+  };
+}
+
+/**
+ * Format milliseconds as seconds for EDL and ffmpeg (12.345)
+ */
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+/**
+ * Quote a string for a POSIX shell
+ */
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * ffmpeg/mpv audio filter silencing the muted ranges, or null if there are none
+ */
+function volumeFilter(mutes) {
+  if (mutes.length === 0) return null;
+  const ranges = mutes.map(m => `between(t,${seconds(m.startMs)},${seconds(m.endMs)})`).join('+');
+  return `volume=enable='${ranges}':volume=0`;
+}
+
+/**
+ * mpv EDL entries for the kept ranges; the path is length-prefixed so commas and
+ * semicolons in it (as in URLs) are taken literally
+ */
+function mpvEntries(cutList, media) {
+  const source = `%${Buffer.byteLength(media)}%${media}`;
+  return cutList.kept.map(range => (range.endMs === null
+    ? `${source},${seconds(range.startMs)}`
+    : `${source},${seconds(range.startMs)},${seconds(range.endMs - range.startMs)}`));
+}
+
+/**
+ * Build an mpv EDL playlist (file and edl:// URL) plus the command line to play it
+ * @param {object} cutList - From buildCutList
+ * @param {string} media - Path or URL of the video
+ * @returns {object} { file, url, audioFilter, command }
+ */
+function generateMpvEDL(cutList, media) {
+  const entries = mpvEntries(cutList, media);
+  const url = `edl://${entries.join(';')}`;
+  const audioFilter = volumeFilter(cutList.mutes);
+
+  return {
+    file: `# mpv EDL v0\n${entries.join('\n')}\n`,
+    url,
+    audioFilter,
+    command: ['mpv', ...(audioFilter ? [`--af=${shellQuote(`lavfi=[${audioFilter}]`)}`] : []), shellQuote(url)].join(' '),
+  };
+}
+
+/**
+ * Build an ffmpeg concat-demuxer script plus the command line that renders it
+ * The video is re-encoded, as cuts with stream copy would land on the nearest keyframes.
+ * @param {object} cutList - From buildCutList
+ * @param {string} media - Path or URL of the video
+ * @param {object} options - { scriptName, output } file names used in the command
+ * @returns {object} { script, audioFilter, command }
+ */
+function generateFfconcat(cutList, media, { scriptName = 'cleanstream.ffconcat', output = 'cleanstream.mkv' } = {}) {
+  const lines = ['ffconcat version 1.0'];
+  for (const range of cutList.kept) {
+    // ffconcat quotes paths the way a shell does
+    lines.push(`file ${shellQuote(media)}`);
+    lines.push(`inpoint ${seconds(range.startMs)}`);
+    if (range.endMs !== null) lines.push(`outpoint ${seconds(range.endMs)}`);
+  }
+
+  const audioFilter = volumeFilter(cutList.mutes);
+  const command = [
+    'ffmpeg',
+    '-f concat -safe 0 -protocol_whitelist file,http,https,tcp,tls',
+    `-i ${shellQuote(scriptName)}`,
+    ...(audioFilter ? [`-af ${shellQuote(audioFilter)}`] : []),
+    '-c:v libx264 -crf 18 -preset medium -c:a aac -b:a 192k',
+    shellQuote(output),
+  ].join(' ');
+
+  return { script: lines.join('\n') + '\n', audioFilter, command };
+}
+
+module.exports = {
+  buildCutList,
+  generateMpvEDL,
+  generateFfconcat,
+  volumeFilter,
+};
@@ -4,6 +4,8 @@
  * https://www.moviecontentfilter.com/specification
  */
 
+const { findRelease, retimeSegment } = require('./releases');
+
 // Category mappings from MCF spec
 const CATEGORIES = {
   // Nudity
@@ -89,25 +91,47 @@ const CATEGORIES = {
   // Commercial
   commercial: 'commercial',
   productPlacement: 'commercial',
+  
+  // Convenience (CleanStream extension): parts of a title rather than content
+  intro: 'intro',
+  outro: 'outro',
+  recap: 'recap',
+  credits: 'credits',
 };
 
+// Categories viewers switch on or off rather than filter by severity
+const CONVENIENCE_CATEGORIES = ['intro', 'outro', 'recap', 'credits'];
+
 // Severity levels
 const SEVERITIES = ['low', 'medium', 'high'];
 
 // Channel types
 const CHANNELS = ['both', 'video', 'audio'];
 
+// Number-valued NOTE keys
+const NUMBER_NOTES = { YEAR: 'year', SEASON: 'season', EPISODE: 'episode' };
+
+// Text-valued NOTE keys
+const TEXT_NOTES = { TITLE: 'title', TYPE: 'type', IMDB: 'imdb', SOURCE: 'source', RELEASE: 'release' };
+
 /**
  * Parse MCF format string to structured data
+ * Parsing is strict: every problem is collected with its line number, and the file is
+ * rejected as a whole if there are any.
  * @param {string} mcfContent - MCF file content
- * @returns {object} Parsed filter data
+ * @returns {object} Parsed filter data: { version, metadata, markers: { start, end }, segments }
+ * @throws {Error} If the file is malformed; error.errors lists every problem as { line, message }
  */
 function parseMCF(mcfContent) {
-  const lines = mcfContent.split(/\r?\n/);
+  const lines = String(mcfContent).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const errors = [];
+  const fail = (index, message) => errors.push({ line: index + 1, message });
   
   // Validate header
   if (!lines[0].startsWith('WEBVTT MovieContentFilter')) {
-    throw new Error('Invalid MCF format: missing header');
+    const error = new Error('Invalid MCF format: missing header');
+    error.errors = [{ line: 1, message: 'First line must be "WEBVTT MovieContentFilter <version>"' }];
+    throw error;
   }
   
   const result = {
@@ -120,119 +144,179 @@ function parseMCF(mcfContent) {
     segments: [],
   };
   
-  let i = 2; // Skip header and blank line
   let inNote = false;
   let currentCue = null;
   
-  while (i < lines.length) {
+  // After a line that isn't a cue or NOTE, the rest of its block is skipped
+  let skipping = false;
+  
+  const closeCue = () => {
+    if (currentCue && currentCue.filterLines === 0) {
+      fail(currentCue.line - 1, 'Cue has no filters');
+    } else if (currentCue) {
+      const { line, filterLines, ...cue } = currentCue;
+      result.segments.push(cue);
+    }
+    currentCue = null;
+  };
+  
+  for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
     
+    // Blank lines end NOTE blocks and cues
+    if (line === '') {
+      inNote = false;
+      skipping = false;
+      closeCue();
+      continue;
+    }
+    
+    if (skipping) continue;
+    
     // Parse NOTE sections
-    if (line === 'NOTE') {
+    if (!currentCue && !inNote && (line === 'NOTE' || line.startsWith('NOTE '))) {
       inNote = true;
-      i++;
       continue;
     }
     
     if (inNote) {
-      if (line === '') {
-        inNote = false;
-      } else if (line.startsWith('TITLE ')) {
-        result.metadata.title = line.substring(6);
-      } else if (line.startsWith('YEAR ')) {
-        result.metadata.year = parseInt(line.substring(5));
-      } else if (line.startsWith('TYPE ')) {
-        result.metadata.type = line.substring(5);
-      } else if (line.startsWith('SEASON ')) {
-        result.metadata.season = parseInt(line.substring(7));
-      } else if (line.startsWith('EPISODE ')) {
-        result.metadata.episode = parseInt(line.substring(8));
-      } else if (line.startsWith('IMDB ')) {
-        result.metadata.imdb = line.substring(5);
-      } else if (line.startsWith('SOURCE ')) {
-        result.metadata.source = line.substring(7);
-      } else if (line.startsWith('RELEASE ')) {
-        result.metadata.release = line.substring(8);
-      } else if (line.startsWith('START ')) {
-        result.markers.start = parseTimestamp(line.substring(6));
-      } else if (line.startsWith('END ')) {
-        result.markers.end = parseTimestamp(line.substring(4));
+      const [key] = line.split(' ', 1);
+      const value = line.substring(key.length + 1).trim();
+      
+      if (TEXT_NOTES[key]) {
+        result.metadata[TEXT_NOTES[key]] = value;
+      } else if (NUMBER_NOTES[key]) {
+        if (!/^\d+$/.test(value)) {
+          fail(i, `${key} must be a whole number`);
+        } else {
+          result.metadata[NUMBER_NOTES[key]] = parseInt(value);
+        }
+      } else if (key === 'START' || key === 'END') {
+        const ms = parseTimestamp(value);
+        if (ms === null) {
+          fail(i, `${key} must be a timestamp (HH:MM:SS.mmm)`);
+        } else {
+          result.markers[key.toLowerCase()] = ms;
+        }
       }
-      i++;
+      // Anything else in a NOTE is a comment
       continue;
     }
     
     // Parse timestamp line (cue start)
-    if (line.includes(' --> ')) {
-      const [startTime, endTime] = line.split(' --> ');
+    if (!currentCue) {
+      if (!line.includes('-->')) {
+        fail(i, 'Expected a cue timing line (HH:MM:SS.mmm --> HH:MM:SS.mmm) or NOTE');
+        skipping = true;
+        continue;
+      }
+      
+      const [startTime, endTime] = line.split('-->').map(t => t.trim());
+      const startMs = parseTimestamp(startTime);
+      const endMs = parseTimestamp(endTime);
+      if (startMs === null || endMs === null) {
+        fail(i, 'Malformed cue timing: expected HH:MM:SS.mmm --> HH:MM:SS.mmm');
+      } else if (endMs <= startMs) {
+        fail(i, 'Cue must end after it starts');
+      }
+      
       currentCue = {
-        startTime: parseTimestamp(startTime),
-        endTime: parseTimestamp(endTime),
+        line: i + 1,
+        filterLines: 0,
+        startTime: startMs,
+        endTime: endMs,
         filters: [],
       };
-      i++;
       continue;
     }
     
     // Parse filter entries
-    if (currentCue && line !== '') {
-      const filter = parseFilterLine(line);
-      if (filter) {
-        currentCue.filters.push(filter);
-      }
-    }
-    
-    // End of cue (blank line)
-    if (line === '' && currentCue) {
-      if (currentCue.filters.length > 0) {
-        result.segments.push(currentCue);
-      }
-      currentCue = null;
+    currentCue.filterLines++;
+    const { filter, error } = parseFilterLine(line);
+    if (error) {
+      fail(i, error);
+    } else {
+      currentCue.filters.push(filter);
     }
-    
-    i++;
   }
   
   // Don't forget last cue if no trailing newline
-  if (currentCue && currentCue.filters.length > 0) {
-    result.segments.push(currentCue);
+  closeCue();
+  
+  const { start, end } = result.markers;
+  if (start !== null && end !== null && end <= start) {
+    errors.push({ line: null, message: 'END marker must be after START' });
+  }
+  
+  if (errors.length > 0) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    const error = new Error(`${first.line ? `line ${first.line}: ` : ''}${first.message}${more}`);
+    error.errors = errors;
+    throw error;
   }
   
   return result;
 }
 
 /**
- * Parse a filter line like "violence=high=video # comment"
+ * Parse a filter line like "violence=high=video # comment", or "intro"
+ * @returns {object} { filter } or { error }
  */
 function parseFilterLine(line) {
   // Split off comment
-  const [filterPart, comment] = line.split(' # ');
+  const hash = line.indexOf(' # ');
+  const filterPart = (hash === -1 ? line : line.substring(0, hash)).trim();
+  const comment = hash === -1 ? null : line.substring(hash + 3).trim() || null;
   const parts = filterPart.split('=');
   
-  if (parts.length < 2) return null;
+  // Convenience categories may be given without a severity (e.g. "intro")
+  if (parts.length === 1 && CONVENIENCE_CATEGORIES.includes(parts[0])) {
+    parts.push('low');
+  }
+  
+  const [category, severity, channel = 'both'] = parts;
+  
+  if (parts.length < 2 || parts.length > 3) {
+    return { error: `Malformed filter "${filterPart}": expected category=severity or category=severity=channel` };
+  }
+  if (!Object.hasOwn(CATEGORIES, category)) {
+    return { error: `Unknown category "${category}"` };
+  }
+  if (!SEVERITIES.includes(severity)) {
+    return { error: `Severity must be one of ${SEVERITIES.join(', ')}, not "${severity}"` };
+  }
+  if (!CHANNELS.includes(channel)) {
+    return { error: `Channel must be one of ${CHANNELS.join(', ')}, not "${channel}"` };
+  }
   
   return {
-    category: parts[0],
-    parentCategory: CATEGORIES[parts[0]] || parts[0],
-    severity: parts[1],
-    channel: parts[2] || 'both',
-    comment: comment || null,
+    filter: {
+      category,
+      parentCategory: CATEGORIES[category],
+      severity,
+      channel,
+      comment,
+    },
   };
 }
 
 /**
  * Parse WebVTT timestamp to milliseconds
  * @param {string} timestamp - Format: HH:MM:SS.mmm
+ * @returns {number|null} Milliseconds, or null if it isn't a valid timestamp
  */
 function parseTimestamp(timestamp) {
-  const match = timestamp.match(/(\d{2}):(\d{2}):(\d{2})\.(\d{3})/);
-  if (!match) return 0;
+  const match = String(timestamp).trim().match(/^(\d{2,}):(\d{2}):(\d{2})\.(\d{3})$/);
+  if (!match) return null;
   
   const hours = parseInt(match[1]);
   const minutes = parseInt(match[2]);
   const seconds = parseInt(match[3]);
   const ms = parseInt(match[4]);
   
+  if (minutes > 59 || seconds > 59) return null;
+  
   return (hours * 3600 + minutes * 60 + seconds) * 1000 + ms;
 }
 
@@ -241,6 +325,7 @@ function parseTimestamp(timestamp) {
  * @param {number} ms - Milliseconds
  */
 function formatTimestamp(ms) {
+  ms = Math.round(ms);
   const hours = Math.floor(ms / 3600000);
   const minutes = Math.floor((ms % 3600000) / 60000);
   const seconds = Math.floor((ms % 60000) / 1000);
@@ -262,18 +347,18 @@ function generateMCF(data) {
     if (data.metadata.title) mcf += `TITLE ${data.metadata.title}\n`;
     if (data.metadata.year) mcf += `YEAR ${data.metadata.year}\n`;
     if (data.metadata.type) mcf += `TYPE ${data.metadata.type}\n`;
-    if (data.metadata.season) mcf += `SEASON ${data.metadata.season}\n`;
-    if (data.metadata.episode) mcf += `EPISODE ${data.metadata.episode}\n`;
+    if (data.metadata.season != null) mcf += `SEASON ${data.metadata.season}\n`;
+    if (data.metadata.episode != null) mcf += `EPISODE ${data.metadata.episode}\n`;
     if (data.metadata.imdb) mcf += `IMDB ${data.metadata.imdb}\n`;
     if (data.metadata.release) mcf += `RELEASE ${data.metadata.release}\n`;
     mcf += '\n';
   }
   
   // Add markers
-  if (data.markers) {
+  if (data.markers && (data.markers.start != null || data.markers.end != null)) {
     mcf += 'NOTE\n';
-    if (data.markers.start !== null) mcf += `START ${formatTimestamp(data.markers.start)}\n`;
-    if (data.markers.end !== null) mcf += `END ${formatTimestamp(data.markers.end)}\n`;
+    if (data.markers.start != null) mcf += `START ${formatTimestamp(data.markers.start)}\n`;
+    if (data.markers.end != null) mcf += `END ${formatTimestamp(data.markers.end)}\n`;
     mcf += '\n';
   }
   
@@ -287,7 +372,8 @@ function generateMCF(data) {
         line += `=${filter.channel}`;
       }
       if (filter.comment) {
-        line += ` # ${filter.comment}`;
+        // A cue ends at a blank line, so comments stay on one line
+        line += ` # ${filter.comment.replace(/\s*\n\s*/g, ' ')}`;
       }
       mcf += line + '\n';
     }
@@ -300,32 +386,58 @@ function generateMCF(data) {
 
 /**
  * Convert internal database format to MCF-compatible segments
+ * Segments sharing a time range become one cue with a filter each.
  */
 function dbToMCFSegments(dbSegments) {
-  return dbSegments.map(seg => ({
-    startTime: seg.startMs,
-    endTime: seg.endMs,
-    filters: [{
+  const cues = new Map();
+  
+  for (const seg of [...dbSegments].sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs)) {
+    const key = `${seg.startMs}-${seg.endMs}`;
+    if (!cues.has(key)) {
+      cues.set(key, { startTime: seg.startMs, endTime: seg.endMs, filters: [] });
+    }
+    cues.get(key).filters.push({
       category: seg.subcategory || seg.category,
       parentCategory: seg.category,
       severity: seg.severity,
       channel: seg.channel || 'both',
       comment: seg.comment || null,
-    }],
-  }));
+    });
+  }
+  
+  return [...cues.values()];
+}
+
+/**
+ * Map a time between two pairs of START/END markers, as the MCF spec intends:
+ * linearly when both pairs are complete, otherwise by the START offset alone
+ * @param {number} ms - Time on the `from` timeline
+ * @param {object|null} from - { start, end } markers the time is relative to
+ * @param {object|null} to - { start, end } markers of the target timeline
+ */
+function rescaleTime(ms, from, to) {
+  if (!from || !to || from.start == null || to.start == null) return ms;
+  
+  if (from.end != null && to.end != null && from.end > from.start) {
+    return Math.round(to.start + (ms - from.start) * (to.end - to.start) / (from.end - from.start));
+  }
+  return Math.round(ms - from.start + to.start);
 }
 
 /**
  * Convert MCF segments to internal database format
+ * @param {array} mcfSegments - Cues from parseMCF
+ * @param {object} options - { from, to } START/END markers to rescale timings between
+ *   (the file's and the title's); timings are kept as they are without both
  */
-function mcfToDBSegments(mcfSegments) {
+function mcfToDBSegments(mcfSegments, { from = null, to = null } = {}) {
   const dbSegments = [];
   
   for (const seg of mcfSegments) {
     for (const filter of seg.filters) {
       dbSegments.push({
-        startMs: seg.startTime,
-        endMs: seg.endTime,
+        startMs: rescaleTime(seg.startTime, from, to),
+        endMs: rescaleTime(seg.endTime, from, to),
         category: filter.parentCategory || CATEGORIES[filter.category] || filter.category,
         subcategory: filter.category,
         severity: filter.severity,
@@ -338,6 +450,113 @@ function mcfToDBSegments(mcfSegments) {
   return dbSegments;
 }
 
+/**
+ * Build the MCF data of one title, episode or season pattern set for export
+ * Only the segments stored for exactly that scope are included (a title's export leaves out
+ * its episodes; an episode's leaves out its season's patterns), so that importing the
+ * export into the same scope gives back the same segments. Segments timed against a
+ * release are re-timed to the reference timeline, which the markers belong to; rejected
+ * segments and duplicates merged into a consensus segment are left out.
+ * @param {object} filterData - The title's filter data (all of its segments)
+ * @param {object} scope - { imdbId, season, episode, markers } where season without
+ *   episode selects a season's patterns
+ * @returns {object} MCF data for generateMCF
+ */
+function buildMCFExport(filterData, { imdbId, season = null, episode = null, markers = null }) {
+  const releases = filterData.releases || [];
+  const segments = [];
+  
+  for (const seg of filterData.segments || []) {
+    if ((seg.season ?? null) !== season || (seg.episode ?? null) !== episode) continue;
+    if (seg.status === 'rejected' || seg.mergedInto) continue;
+    
+    const timing = retimeSegment(seg, findRelease(releases, seg.releaseId), null);
+    if (timing) segments.push({ ...seg, ...timing });
+  }
+  
+  return {
+    metadata: {
+      title: filterData.title,
+      year: filterData.year,
+      type: filterData.type,
+      season,
+      episode,
+      imdb: `https://www.imdb.com/title/${imdbId}/`,
+    },
+    markers: markers || { start: null, end: null },
+    segments: dbToMCFSegments(segments),
+  };
+}
+
+/**
+ * Build the MCF data of what a viewer's profile would skip, for MCF-compatible players
+ * Skips become filters on both channels and mutes filters on the audio channel, which is how
+ * MCF players skip and mute; warnings have no MCF equivalent and are left out. The skips are
+ * timed to the viewer's release, which the file names instead of carrying markers.
+ * @param {object} filterData - The title's filter data
+ * @param {array} skips - The viewer's skips, from generateSkips without merging
+ * @param {object} scope - { imdbId, season, episode, release } where release is the viewer's, if any
+ * @returns {object} MCF data for generateMCF
+ */
+function buildMCFSkipExport(filterData, skips, { imdbId, season = null, episode = null, release = null }) {
+  const segments = skips
+    .filter(skip => skip.action === 'skip' || skip.action === 'mute')
+    .map(skip => ({
+      startMs: skip.startMs,
+      endMs: skip.endMs,
+      category: skip.category,
+      subcategory: skip.subcategory,
+      severity: skip.severity,
+      channel: skip.action === 'mute' ? 'audio' : 'both',
+      comment: skip.description,
+    }));
+  
+  return {
+    metadata: {
+      title: filterData.title,
+      year: filterData.year,
+      type: filterData.type,
+      season,
+      episode,
+      imdb: `https://www.imdb.com/title/${imdbId}/`,
+      release: release?.name,
+    },
+    markers: { start: null, end: null },
+    segments: dbToMCFSegments(segments),
+  };
+}
+
+/**
+ * Turn a parsed MCF file into segments to import
+ * Timings are rescaled from the file's START/END markers to the title's stored ones, which
+ * puts them on the reference timeline. Otherwise a RELEASE note anchors them to that release.
+ * @param {object} mcfData - From parseMCF
+ * @param {object} target - { markers, releases } of the title or episode imported into
+ * @returns {object} { segments, releaseId, storeMarkers } where storeMarkers is true when the
+ *   title has no markers yet and should take the file's; or { error, releases } for an unknown release
+ */
+function prepareMCFImport(mcfData, { markers = null, releases = [] } = {}) {
+  const fileMarkers = mcfData.markers || { start: null, end: null };
+  const hasFileMarkers = fileMarkers.start !== null || fileMarkers.end !== null;
+  const rescaled = hasFileMarkers && markers && markers.start != null && fileMarkers.start !== null;
+  
+  let releaseId = null;
+  if (mcfData.metadata.release && !rescaled) {
+    const anchor = findRelease(releases, mcfData.metadata.release);
+    if (!anchor) {
+      return { error: 'Unknown release', releases: releases.map(r => r.name) };
+    }
+    releaseId = anchor.id;
+  }
+  
+  return {
+    segments: mcfToDBSegments(mcfData.segments, rescaled ? { from: fileMarkers, to: markers } : {})
+      .map(seg => ({ ...seg, releaseId })),
+    releaseId,
+    storeMarkers: hasFileMarkers && !markers && !releaseId,
+  };
+}
+
 module.exports = {
   parseMCF,
   generateMCF,
@@ -345,7 +564,12 @@ module.exports = {
   formatTimestamp,
   dbToMCFSegments,
   mcfToDBSegments,
+  rescaleTime,
+  buildMCFExport,
+  buildMCFSkipExport,
+  prepareMCFImport,
   CATEGORIES,
+  CONVENIENCE_CATEGORIES,
   SEVERITIES,
   CHANNELS,
 };
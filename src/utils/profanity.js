@@ -0,0 +1,164 @@
+/**
+ * Profanity
+ * Severity-graded wordlist, used to mask dialogue subtitles and to find language segments in transcripts
+ *
+ * A wordlist maps language subcategories (see CATEGORIES in mcf.js) to words by severity:
+ *   { "swearing": { "high": ["fuck*"], "medium": ["shit*"], "low": ["damn*"] }, ... }
+ * A trailing * also matches longer forms (fuck* matches fucking). PROFANITY_WORDLIST
+ * names a JSON file in this format that replaces the built-in list.
+ */
+
+const fs = require('fs');
+
+const { CATEGORIES, SEVERITIES } = require('./mcf');
+
+const DEFAULT_WORDLIST = {
+  swearing: {
+    high: ['fuck*', 'motherfuck*', 'cunt*', 'cocksucker*'],
+    medium: ['shit*', 'bullshit*', 'bitch*', 'bastard*', 'asshole*', 'arsehole*', 'dickhead*', 'twat*', 'wanker*', 'prick*', 'slut*', 'whore*'],
+    low: ['damn*', 'dammit', 'hell', 'crap*', 'ass', 'arse', 'piss*', 'bollocks', 'douche*', 'dick', 'dicks', 'cock', 'cocks'],
+  },
+  blasphemy: {
+    high: ['goddamn*', 'goddam', 'jesus fucking christ'],
+    medium: ['jesus christ', 'christ almighty', 'for christ\'s sake'],
+    low: ['oh my god', 'jesus', 'lord almighty'],
+  },
+};
+
+let configuredWordlist = null;
+
+// Compiled entries by wordlist object
+const compiled = new WeakMap();
+
+/**
+ * Check a wordlist's shape
+ * @returns {array} Error messages (empty when valid)
+ */
+function validateWordlist(wordlist) {
+  if (!wordlist || typeof wordlist !== 'object' || Array.isArray(wordlist)) {
+    return ['Wordlist must be an object of subcategory: { severity: [words] }'];
+  }
+
+  const errors = [];
+  for (const [subcategory, bySeverity] of Object.entries(wordlist)) {
+    if (!Object.hasOwn(CATEGORIES, subcategory) || CATEGORIES[subcategory] !== 'language') {
+      errors.push(`${subcategory} is not a language subcategory`);
+      continue;
+    }
+    for (const [severity, words] of Object.entries(bySeverity || {})) {
+      if (!SEVERITIES.includes(severity)) {
+        errors.push(`${subcategory}.${severity}: severity must be one of ${SEVERITIES.join(', ')}`);
+      } else if (!Array.isArray(words) || words.some(w => typeof w !== 'string' || !w.trim())) {
+        errors.push(`${subcategory}.${severity} must be a list of words`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read a wordlist from a JSON file
+ * @throws {Error} If the file can't be read or isn't a valid wordlist
+ */
+function loadWordlist(filePath) {
+  const wordlist = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateWordlist(wordlist);
+  if (errors.length > 0) {
+    throw new Error(`Invalid wordlist ${filePath}: ${errors.join('; ')}`);
+  }
+  return wordlist;
+}
+
+/**
+ * The wordlist in use: PROFANITY_WORDLIST if set, otherwise the built-in one
+ */
+function getWordlist() {
+  if (!configuredWordlist) {
+    configuredWordlist = process.env.PROFANITY_WORDLIST
+      ? loadWordlist(process.env.PROFANITY_WORDLIST)
+      : DEFAULT_WORDLIST;
+  }
+  return configuredWordlist;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex source for one wordlist entry; spaces in phrases match any whitespace
+ */
+function entrySource(word) {
+  const stem = word.trim().toLowerCase();
+  const source = escapeRegex(stem.replace(/\*$/, '')).replace(/\s+/g, '\\s+');
+  return stem.endsWith('*') ? `${source}[a-z']*` : source;
+}
+
+/**
+ * Flatten a wordlist into entries with their own whole-word regex
+ * @returns {array} [{ word, subcategory, severity, pattern }]
+ */
+function compileWordlist(wordlist) {
+  if (compiled.has(wordlist)) return compiled.get(wordlist);
+
+  const entries = [];
+  for (const [subcategory, bySeverity] of Object.entries(wordlist)) {
+    for (const [severity, words] of Object.entries(bySeverity || {})) {
+      for (const word of words) {
+        entries.push({ word, subcategory, severity, pattern: new RegExp(`\\b${entrySource(word)}\\b`, 'gi') });
+      }
+    }
+  }
+  compiled.set(wordlist, entries);
+  return entries;
+}
+
+/**
+ * Find the wordlist's words in a line of text
+ * Where matches overlap (jesus christ, jesus) only the longest counts.
+ * @returns {array} [{ text, word, subcategory, severity, index }] in order of appearance
+ */
+function findProfanity(text, wordlist = getWordlist()) {
+  const found = [];
+  for (const entry of compileWordlist(wordlist)) {
+    for (const match of text.matchAll(entry.pattern)) {
+      const { word, subcategory, severity } = entry;
+      found.push({ text: match[0], word, subcategory, severity, index: match.index });
+    }
+  }
+
+  const kept = [];
+  for (const match of found.sort((a, b) => b.text.length - a.text.length)) {
+    const overlaps = kept.some(k => match.index < k.index + k.text.length && k.index < match.index + match.text.length);
+    if (!overlaps) kept.push(match);
+  }
+  return kept.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Mask a word, keeping its first letter (shit -> s***)
+ */
+function maskWord(word) {
+  return word[0] + word.slice(1).replace(/[^\s]/g, '*');
+}
+
+/**
+ * Mask profanity in a line of text
+ */
+function maskProfanity(text, wordlist = getWordlist()) {
+  let masked = text;
+  for (const match of findProfanity(text, wordlist)) {
+    masked = masked.slice(0, match.index) + maskWord(match.text) + masked.slice(match.index + match.text.length);
+  }
+  return masked;
+}
+
+module.exports = {
+  DEFAULT_WORDLIST,
+  validateWordlist,
+  loadWordlist,
+  getWordlist,
+  findProfanity,
+  maskWord,
+  maskProfanity,
+};
@@ -0,0 +1,91 @@
+/**
+ * Release Timing
+ * Re-times segments between releases of the same title (theatrical, extended, streaming rips)
+ *
+ * Every release maps the reference timeline (segments without a release) linearly:
+ *   releaseMs = referenceMs * speedFactor + offsetMs
+ *
+ * offsetMs covers extra logos or trimmed openings, speedFactor covers speed-ups
+ * such as PAL 25fps releases of 23.976fps films (speedFactor = 23.976 / 25).
+ */
+
+// Common frame rates, so contributors can say "pal" instead of 25
+const FRAME_RATES = {
+  film: 24000 / 1001,
+  ntsc: 30000 / 1001,
+  pal: 25,
+};
+
+/**
+ * Speed factor for a release played at a different frame rate than the reference
+ * @param {number|string} sourceFps - Frame rate of the reference timeline
+ * @param {number|string} fps - Frame rate of the release
+ */
+function speedFactorFromFrameRates(sourceFps, fps) {
+  const from = FRAME_RATES[sourceFps] || parseFloat(sourceFps);
+  const to = FRAME_RATES[fps] || parseFloat(fps);
+
+  if (!from || !to) return null;
+  return from / to;
+}
+
+/**
+ * Find a release by ID or name (case-insensitive)
+ * @param {array} releases - Releases of a title
+ * @param {string} ref - Release ID or name
+ */
+function findRelease(releases, ref) {
+  if (!ref || !releases) return null;
+
+  const name = String(ref).toLowerCase();
+  return releases.find(r => r.id === ref) ||
+    releases.find(r => r.name && r.name.toLowerCase() === name) ||
+    null;
+}
+
+/**
+ * Convert a time on a release's timeline to the reference timeline
+ */
+function toReferenceTime(ms, release) {
+  if (!release) return ms;
+  return (ms - (release.offsetMs || 0)) / (release.speedFactor || 1);
+}
+
+/**
+ * Convert a time on the reference timeline to a release's timeline
+ */
+function fromReferenceTime(ms, release) {
+  if (!release) return ms;
+  return ms * (release.speedFactor || 1) + (release.offsetMs || 0);
+}
+
+/**
+ * Re-time a segment from the release it was timed against to another release
+ * @param {object} segment - Segment with startMs/endMs
+ * @param {object|null} anchor - Release the segment is timed against (null = reference)
+ * @param {object|null} target - Release the viewer is watching (null = reference)
+ * @returns {object|null} { startMs, endMs }, or null if the segment falls outside the release
+ */
+function retimeSegment(segment, anchor, target) {
+  if (anchor === target || (anchor && target && anchor.id === target.id)) {
+    return { startMs: segment.startMs, endMs: segment.endMs };
+  }
+
+  const startMs = Math.round(fromReferenceTime(toReferenceTime(segment.startMs, anchor), target));
+  const endMs = Math.round(fromReferenceTime(toReferenceTime(segment.endMs, anchor), target));
+
+  // Cut out of this release entirely
+  if (endMs <= 0) return null;
+  if (target && target.runtime && startMs >= target.runtime) return null;
+
+  return { startMs: Math.max(0, startMs), endMs };
+}
+
+module.exports = {
+  FRAME_RATES,
+  speedFactorFromFrameRates,
+  findRelease,
+  toReferenceTime,
+  fromReferenceTime,
+  retimeSegment,
+};
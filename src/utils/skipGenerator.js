@@ -4,7 +4,10 @@
  */
 
 const db = require('../database');
-const { CATEGORIES } = require('./mcf');
+const cache = require('../cache');
+const { CATEGORIES, CONVENIENCE_CATEGORIES } = require('./mcf');
+const { findRelease, retimeSegment } = require('./releases');
+const { computeConfidence } = require('./confidence');
 
 // Severity level ordering for comparison
 const SEVERITY_LEVELS = {
@@ -14,19 +17,18 @@ const SEVERITY_LEVELS = {
   high: 3,
 };
 
+// What a player does with a segment: jump past it, silence it, show a warning, or nothing
+const ACTIONS = ['skip', 'mute', 'warn', 'ignore'];
+
 /**
  * Generate skip segments for a movie/show based on user preferences
- * @param {string} imdbId - IMDB ID
+ * Segments are re-timed into the release named by userConfig.release, if the title has it
+ * @param {string} id - IMDB ID, or tt1234567:1:2 for a series episode
  * @param {object} userConfig - User's filter preferences
+ * @param {object} options - { merge } set false to keep overlapping segments apart, one skip each
  * @returns {array} Array of skip segments
  */
-async function generateSkips(imdbId, userConfig = {}) {
-  const filterData = await db.getFilters(imdbId);
-  
-  if (!filterData || !filterData.segments || filterData.segments.length === 0) {
-    return [];
-  }
-  
+async function generateSkips(id, userConfig = {}, { merge = true } = {}) {
   // Default config - skip nothing
   const config = {
     nudity: 'off',
@@ -38,12 +40,50 @@ async function generateSkips(imdbId, userConfig = {}) {
     discrimination: 'off',
     dispensable: 'off',
     commercial: 'off',
+    intro: 'off',
+    outro: 'off',
+    recap: 'off',
+    credits: 'off',
+    unapproved: 'exclude',
+    minConfidence: 0,
+    actions: {},
     ...userConfig,
   };
   
+  // Equivalent configs share one cache entry
+  return cache.remember(
+    cache.keys.skips(id, cache.hashConfig(merge ? config : { ...config, merge })),
+    cache.CACHE_TTL.skips,
+    async () => {
+      const skips = await buildSkips(id, config);
+      return merge ? mergeOverlappingSkips(skips) : skips;
+    }
+  );
+}
+
+/**
+ * Build skip segments from the stored filters for a fully defaulted config, by start time
+ */
+async function buildSkips(id, config) {
+  const filterData = await db.getFilters(id);
+  
+  if (!filterData || !filterData.segments || filterData.segments.length === 0) {
+    return [];
+  }
+  
+  const releases = filterData.releases || [];
+  const targetRelease = findRelease(releases, config.release);
+  const minConfidence = parseFloat(config.minConfidence) || 0;
+  const now = Date.now();
+  
   const skips = [];
   
   for (const segment of filterData.segments) {
+    if (!isModerated(segment, config)) continue;
+    
+    // Merged duplicates are represented by their consensus segment
+    if (segment.mergedInto) continue;
+    
     const category = segment.category;
     const severity = segment.severity;
     const userThreshold = config[category];
@@ -54,53 +94,113 @@ async function generateSkips(imdbId, userConfig = {}) {
     }
     
     // Include segment if its severity meets or exceeds user threshold
-    // e.g., if user sets "medium", include "medium" and "high" severity segments
-    if (SEVERITY_LEVELS[severity] >= SEVERITY_LEVELS[userThreshold]) {
+    // e.g., if user sets "medium", include "medium" and "high" severity segments.
+    // Convenience categories (intro, credits, ...) are on/off toggles: any severity counts.
+    if (CONVENIENCE_CATEGORIES.includes(category) ||
+        SEVERITY_LEVELS[severity] >= SEVERITY_LEVELS[userThreshold]) {
+      // Leave out segments the viewer doesn't trust enough
+      const confidence = computeConfidence(segment, now);
+      if (confidence < minConfidence) continue;
+      
+      const action = resolveAction(segment, config);
+      if (action === 'ignore') continue;
+      
+      const anchor = findRelease(releases, segment.releaseId);
+      const timing = retimeSegment(segment, anchor, targetRelease);
+      
+      // Not part of the viewer's release
+      if (!timing) continue;
+      
       skips.push({
         id: segment.id,
-        startMs: segment.startMs,
-        endMs: segment.endMs,
-        startTime: formatTimeForDisplay(segment.startMs),
-        endTime: formatTimeForDisplay(segment.endMs),
-        duration: segment.endMs - segment.startMs,
+        action,
+        startMs: timing.startMs,
+        endMs: timing.endMs,
+        startTime: formatTimeForDisplay(timing.startMs),
+        endTime: formatTimeForDisplay(timing.endMs),
+        duration: timing.endMs - timing.startMs,
         category,
         subcategory: segment.subcategory,
         severity,
         channel: segment.channel || 'both',
+        confidence,
         description: segment.comment || generateDescription(category, severity),
       });
     }
   }
   
-  // Sort by start time and merge overlapping segments
-  return mergeOverlappingSkips(skips.sort((a, b) => a.startMs - b.startMs));
+  return skips.sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Check whether a segment's moderation status lets it produce skips
+ * Rejected segments never do; pending ones only with unapproved: 'include'.
+ * Segments stored before moderation existed have no status and count as approved.
+ */
+function isModerated(segment, config) {
+  const status = segment.status || 'approved';
+  if (status === 'rejected') return false;
+  return status === 'approved' || config.unapproved === 'include';
+}
+
+/**
+ * Decide what to do with a segment under the user's config
+ * config.actions maps a category to an action, or to { low, medium, high } actions per severity.
+ * Without one, audio-only segments are muted and everything else skipped.
+ * @returns {string} One of ACTIONS
+ */
+function resolveAction(segment, config) {
+  const rule = config.actions?.[segment.category];
+  const channel = segment.channel || 'both';
+  let action = typeof rule === 'string' ? rule : rule?.[segment.severity];
+  
+  if (!ACTIONS.includes(action)) {
+    action = channel === 'audio' ? 'mute' : 'skip';
+  }
+  
+  // Muting can't hide anything that is only on screen
+  if (action === 'mute' && channel === 'video') {
+    action = 'skip';
+  }
+  
+  return action;
 }
 
 /**
  * Merge overlapping skip segments
+ * Only segments with the same action are merged, so a mute never swallows (or extends) a skip
  */
 function mergeOverlappingSkips(skips) {
   if (skips.length < 2) return skips;
   
-  const merged = [skips[0]];
+  const merged = [];
+  const lastByAction = {};
   
-  for (let i = 1; i < skips.length; i++) {
-    const current = skips[i];
-    const last = merged[merged.length - 1];
+  for (const current of skips) {
+    const last = lastByAction[current.action];
     
     // Check if overlapping or adjacent (within 500ms)
-    if (current.startMs <= last.endMs + 500) {
+    if (last && current.startMs <= last.endMs + 500) {
       // Extend the last segment
       last.endMs = Math.max(last.endMs, current.endMs);
       last.endTime = formatTimeForDisplay(last.endMs);
       last.duration = last.endMs - last.startMs;
       
+      // A merged skip is only as trustworthy as its weakest part
+      last.confidence = Math.min(last.confidence, current.confidence);
+      
+      // ...and has to cover every channel its parts do
+      if (current.channel !== last.channel) {
+        last.channel = 'both';
+      }
+      
       // Combine descriptions
       if (current.category !== last.category) {
         last.description = `${last.description}, ${current.category}`;
       }
     } else {
       merged.push(current);
+      lastByAction[current.action] = current;
     }
   }
   
@@ -121,6 +221,10 @@ function generateDescription(category, severity) {
     discrimination: 'Discriminatory content',
     dispensable: 'Skippable scene',
     commercial: 'Product placement',
+    intro: 'Intro',
+    outro: 'Outro',
+    recap: 'Recap',
+    credits: 'Credits',
   };
   
   return descriptions[category] || category;
@@ -136,6 +240,70 @@ function formatTimeForDisplay(ms) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
+// How long before a skip or mute its warning appears (ms)
+const WARNING_LEAD_MS = 3000;
+
+// Text shown while a skip is playing, by action
+const CUE_MARKERS = {
+  skip: '⏭️ Press → to skip',
+  mute: '🔇 Muted',
+  warn: '⚠️ Content warning',
+};
+
+/**
+ * Plan the subtitle cues for a list of skips, shared by the VTT, SRT and ASS renderers
+ * Skips and mutes get a warning WARNING_LEAD_MS beforehand (split into one cue per
+ * second with countdown) and a marker while they play; warnings only get the marker.
+ * @returns {array} [{ id, kind: 'warning'|action, startMs, endMs, text }] in skip order
+ */
+function planSubtitleCues(skips, { countdown = false } = {}) {
+  const cues = [];
+  
+  skips.forEach((skip, index) => {
+    const action = skip.action || 'skip';
+    
+    // Warnings are shown during the scene itself; skips and mutes are announced beforehand
+    if (action !== 'warn') {
+      const warningStart = Math.max(0, skip.startMs - WARNING_LEAD_MS);
+      const upcoming = action === 'mute' ? '🔇 Muting in' : '⏭️ Scene skip in';
+      const leadSeconds = Math.ceil(WARNING_LEAD_MS / 1000);
+      
+      if (countdown) {
+        for (let left = leadSeconds; left > 0; left--) {
+          const startMs = Math.max(warningStart, skip.startMs - left * 1000);
+          const endMs = skip.startMs - (left - 1) * 1000;
+          if (endMs <= startMs) continue;
+          cues.push({
+            id: `${index + 1}-warning-${left}`,
+            kind: 'warning',
+            startMs,
+            endMs,
+            text: `${upcoming} ${left}s (${skip.description})`,
+          });
+        }
+      } else if (skip.startMs > warningStart) {
+        cues.push({
+          id: `${index + 1}-warning`,
+          kind: 'warning',
+          startMs: warningStart,
+          endMs: skip.startMs,
+          text: `${upcoming} ${leadSeconds}s (${skip.description})`,
+        });
+      }
+    }
+    
+    cues.push({
+      id: `${index + 1}-${action}`,
+      kind: action,
+      startMs: skip.startMs,
+      endMs: skip.endMs,
+      text: `${CUE_MARKERS[action]} (${skip.description})`,
+    });
+  });
+  
+  return cues;
+}
+
 /**
  * Generate a VTT file with skip markers
  * This is a creative approach - we embed skip data as subtitles
@@ -147,24 +315,92 @@ function generateSkipVTT(skips, imdbId) {
   vtt += `X-CLEANSTREAM-IMDB: ${imdbId}\n`;
   vtt += `X-CLEANSTREAM-TOTAL-SKIPS: ${skips.length}\n\n`;
   
-  skips.forEach((skip, index) => {
-    // Add 1 second before each skip as a warning
-    const warningStart = Math.max(0, skip.startMs - 3000);
-    const warningEnd = skip.startMs;
-    
-    vtt += `${index + 1}-warning\n`;
-    vtt += `${formatVTTTimestamp(warningStart)} --> ${formatVTTTimestamp(warningEnd)}\n`;
-    vtt += `<c.cleanstream-warning>⏭️ Scene skip in 3s (${skip.description})</c>\n\n`;
-    
-    // Add skip marker during the scene
-    vtt += `${index + 1}-skip\n`;
-    vtt += `${formatVTTTimestamp(skip.startMs)} --> ${formatVTTTimestamp(skip.endMs)}\n`;
-    vtt += `<c.cleanstream-skip>⏭️ Press → to skip (${skip.description})</c>\n\n`;
-  });
+  for (const cue of planSubtitleCues(skips)) {
+    vtt += `${cue.id}\n`;
+    vtt += `${formatVTTTimestamp(cue.startMs)} --> ${formatVTTTimestamp(cue.endMs)}\n`;
+    vtt += `<c.cleanstream-${cue.kind}>${cue.text}</c>\n\n`;
+  }
   
   return vtt;
 }
 
+/**
+ * Generate an SRT file with the same cues as the VTT track, for players without VTT styling
+ */
+function generateSkipSRT(skips) {
+  return planSubtitleCues(skips).map((cue, index) => (
+    `${index + 1}\n${formatSRTTimestamp(cue.startMs)} --> ${formatSRTTimestamp(cue.endMs)}\n${cue.text}\n`
+  )).join('\n');
+}
+
+/**
+ * ASS styles by cue kind: all at the top of the screen (alignment 8), clear of dialogue subtitles
+ * Colours are &HAABBGGRR.
+ */
+const ASS_STYLES = {
+  warning: { name: 'Warning', colour: '&H0000D7FF' },
+  skip: { name: 'Skip', colour: '&H00FFFFFF' },
+  mute: { name: 'Mute', colour: '&H00FFC080' },
+  warn: { name: 'Caution', colour: '&H004040FF' },
+};
+
+/**
+ * Generate an ASS (Advanced SubStation Alpha) file with the warnings at the top of the screen
+ * Announcements count down second by second to the skip or mute.
+ */
+function generateSkipASS(skips, imdbId) {
+  const lines = [
+    '[Script Info]',
+    `Title: CleanStream ${imdbId}`,
+    'ScriptType: v4.00+',
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    ...Object.values(ASS_STYLES).map(style => (
+      `Style: ${style.name},Arial,48,${style.colour},&H000000FF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,3,2,0,8,40,40,40,1`
+    )),
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...planSubtitleCues(skips, { countdown: true }).map(cue => (
+      `Dialogue: 0,${formatASSTimestamp(cue.startMs)},${formatASSTimestamp(cue.endMs)},${ASS_STYLES[cue.kind].name},,0,0,0,,${escapeASS(cue.text)}`
+    )),
+  ];
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Keep cue text from being read as ASS override tags or line breaks
+ */
+function escapeASS(text) {
+  return text.replace(/[{}]/g, c => (c === '{' ? '(' : ')')).replace(/\\/g, '/').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * EDL actions understood by Kodi and MPlayer, by skip action
+ */
+const EDL_ACTIONS = {
+  skip: 0, // cut
+  mute: 1,
+  warn: 2, // scene marker
+};
+
+/**
+ * Generate an EDL (edit decision list) file, as read by Kodi, MPlayer and mpv scripts
+ * Each line is "start end action" in seconds: skips are cut, mutes muted, warnings marked
+ */
+function generateSkipEDL(skips) {
+  return skips.map(skip => {
+    const action = EDL_ACTIONS[skip.action] ?? EDL_ACTIONS.skip;
+    return `${(skip.startMs / 1000).toFixed(3)}\t${(skip.endMs / 1000).toFixed(3)}\t${action}`;
+  }).join('\n') + (skips.length ? '\n' : '');
+}
+
 /**
  * Generate JSON skip data for programmatic use
  */
@@ -175,11 +411,21 @@ function generateSkipJSON(skips, imdbId, metadata = {}) {
     metadata,
     generatedAt: new Date().toISOString(),
     totalSkips: skips.length,
-    totalSkipTime: skips.reduce((sum, s) => sum + s.duration, 0),
+    totalSkipTime: totalTime(skips, 'skip'),
+    totalMuteTime: totalTime(skips, 'mute'),
     skips,
   };
 }
 
+/**
+ * Milliseconds covered by skips with the given action
+ */
+function totalTime(skips, action) {
+  return skips
+    .filter(s => (s.action || 'skip') === action)
+    .reduce((sum, s) => sum + s.duration, 0);
+}
+
 /**
  * Format VTT timestamp
  */
@@ -192,12 +438,40 @@ function formatVTTTimestamp(ms) {
   return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
 }
 
+/**
+ * Format SRT timestamp (HH:MM:SS,mmm)
+ */
+function formatSRTTimestamp(ms) {
+  return formatVTTTimestamp(ms).replace('.', ',');
+}
+
+/**
+ * Format ASS timestamp (H:MM:SS.cc)
+ */
+function formatASSTimestamp(ms) {
+  const centiseconds = Math.floor(ms / 10);
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor((centiseconds % 360000) / 6000);
+  const seconds = Math.floor((centiseconds % 6000) / 100);
+  const rest = centiseconds % 100;
+  
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${rest.toString().padStart(2, '0')}`;
+}
+
 module.exports = {
   generateSkips,
   generateSkipVTT,
+  generateSkipSRT,
+  generateSkipASS,
   generateSkipJSON,
+  planSubtitleCues,
+  generateSkipEDL,
   mergeOverlappingSkips,
+  resolveAction,
   formatTimeForDisplay,
   formatVTTTimestamp,
+  formatSRTTimestamp,
+  WARNING_LEAD_MS,
   SEVERITY_LEVELS,
+  ACTIONS,
 };
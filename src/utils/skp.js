@@ -0,0 +1,383 @@
+/**
+ * VideoSkip (.skp) Format Parser & Importer
+ * Based on the format described in VideoSkip's own editing instructions
+ * https://videoskip.org/exchange/
+ *
+ * A .skp file is plain text:
+ *   0:00:31.49                                  <- sync time of the screenshot
+ *   When the U of Universal reaches center      <- screenshot description
+ *
+ *   1:27:47.2 --> 1:29:53.87                    <- skip cue
+ *   Sex 2 (Fooling in bed)                      <- category, level 1-3, handling, (comment)
+ *
+ *   {"netflix":0,"amazon":0.75}                 <- per-service offsets in seconds
+ *
+ *   data:image/jpeg;base64,...                  <- sync screenshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const db = require('../database');
+
+// Contributor recorded on every imported segment
+const SKP_CONTRIBUTOR = 'videoskip-import';
+
+// Default location of the scraped VideoSkip Exchange files
+const SKP_IMPORT_DIR = path.join(__dirname, '../../data/videoskip-imports');
+
+// Stems of VideoSkip label words, mapped to our category and, where the word says more,
+// an MCF subcategory of that category. A word matches the first stem it starts with, so
+// VideoSkip's abbreviations ("pro aud", "vio", "oth") count as well as the full words.
+const SKP_KEYWORDS = [
+  { stem: 'sex', category: 'sex' },
+  { stem: 'nud', category: 'nudity' },
+  { stem: 'naked', category: 'nudity' },
+  { stem: 'vio', category: 'violence' },
+  { stem: 'gor', category: 'violence' },
+  { stem: 'pro', category: 'language' },
+  { stem: 'cur', category: 'language' },
+  { stem: 'cuss', category: 'language' },
+  { stem: 'swear', category: 'language', subcategory: 'swearing' },
+  { stem: 'swe', category: 'language' },
+  { stem: 'alc', category: 'drugs', subcategory: 'alcohol' },
+  { stem: 'drunk', category: 'drugs', subcategory: 'alcohol' },
+  { stem: 'dru', category: 'drugs' },
+  { stem: 'substance', category: 'drugs' },
+  { stem: 'smo', category: 'drugs', subcategory: 'cigarettes' },
+  { stem: 'cigar', category: 'drugs', subcategory: 'cigarettes' },
+  { stem: 'fri', category: 'fear' },
+  { stem: 'sca', category: 'fear' },
+  { stem: 'intens', category: 'fear' },
+  { stem: 'hate', category: 'discrimination' },
+  { stem: 'racis', category: 'discrimination', subcategory: 'racism' },
+  { stem: 'racial', category: 'discrimination', subcategory: 'racism' },
+  { stem: 'homophob', category: 'discrimination', subcategory: 'homophobia' },
+  { stem: 'homosexual', category: 'discrimination', subcategory: 'homophobia' },
+  { stem: 'oth', category: 'dispensable' },
+];
+
+// VideoSkip handling labels: blank the picture or mute the sound
+const SKP_VIDEO_LABELS = ['video', 'vid', 'image', 'img', 'blank', 'blur'];
+const SKP_AUDIO_LABELS = ['audio', 'aud', 'word', 'speech', 'sound'];
+
+// VideoSkip levels: 1 = problematic for children ... 3 = problematic for adults
+const SKP_LEVELS = {
+  1: 'low',
+  2: 'medium',
+  3: 'high',
+};
+
+const CUE_PATTERN = /^\s*(\d+:\d{1,2}:\d{1,2}(?:\.\d+)?)\S*?\s*-->\s*(\d+:\d{1,2}:\d{1,2}(?:\.\d+)?)/;
+const SYNC_PATTERN = /^\s*(\d+:\d{1,2}:\d{1,2}(?:\.\d+)?)\s*$/;
+
+/**
+ * Detect files that are really saved HTML error pages (e.g. 404 Not Found)
+ * @param {string} content - Raw file content
+ */
+function isJunkSKP(content) {
+  return /^\s*<(!doctype\s+html|html)[\s>]/i.test(content);
+}
+
+/**
+ * Parse VideoSkip HMS timestamp to milliseconds
+ * @param {string} timestamp - Format: H:MM:SS or H:MM:SS.ss (any number of decimals)
+ */
+function parseSKPTimestamp(timestamp) {
+  const match = timestamp.match(/(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d+))?/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const seconds = parseInt(match[3]);
+  const fraction = match[4] ? parseFloat(`0.${match[4]}`) : 0;
+
+  return Math.round((hours * 3600 + minutes * 60 + seconds + fraction) * 1000);
+}
+
+/**
+ * Map a VideoSkip skip label like "profane word 1 (shit)" to our classification
+ * @param {string} label - Label line following the cue timestamps
+ * @returns {object|null} { category, subcategory, severity, channel, comment } or null if unrecognised
+ */
+function mapSKPLabel(label) {
+  // Comments come in parentheses or quotes; blur boxes in square brackets
+  const commentMatch = label.match(/\(([^)]*)\)?/) || label.match(/"([^"]*)"/);
+  const comment = commentMatch ? commentMatch[1].trim() || null : null;
+
+  const bare = label
+    .replace(/\([^)]*\)?/g, ' ')
+    .replace(/"[^"]*"/g, ' ')
+    .replace(/\[[^\]]*\]/g, ' ')
+    .toLowerCase();
+
+  const words = bare.match(/[a-z]+/g) || [];
+  const level = bare.match(/[1-3]/);
+
+  const matches = words
+    .map(word => SKP_KEYWORDS.find(k => word.startsWith(k.stem)))
+    .filter(Boolean);
+
+  // The first recognised word picks the category; later ones may only narrow it down
+  const category = matches[0]?.category || null;
+  let subcategory = matches.find(k => k.category === category && k.subcategory)?.subcategory || null;
+
+  if (!category) return null;
+
+  let channel = 'both';
+  if (words.some(w => SKP_AUDIO_LABELS.includes(w))) {
+    channel = 'audio';
+  } else if (words.some(w => SKP_VIDEO_LABELS.includes(w))) {
+    channel = 'video';
+  }
+
+  // Muted single words are swearing in MCF terms
+  if (category === 'language' && words.includes('word')) {
+    subcategory = 'swearing';
+  }
+
+  return {
+    category,
+    subcategory: subcategory || category,
+    // VideoSkip treats a missing level as 1
+    severity: SKP_LEVELS[level ? level[0] : 1],
+    channel,
+    comment,
+  };
+}
+
+/**
+ * Parse VideoSkip .skp content to structured data
+ * @param {string} content - .skp file content
+ * @returns {object} { sync, offsets, cues }
+ */
+function parseSKP(content) {
+  if (isJunkSKP(content)) {
+    throw new Error('Invalid SKP format: file is an HTML page');
+  }
+
+  const lines = content.split(/\r?\n/);
+
+  const result = {
+    sync: null,
+    offsets: {},
+    cues: [],
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    // Screenshot data, nothing for us there
+    if (line === '' || line.startsWith('data:')) continue;
+
+    // Sync point is a lone timestamp before the first cue
+    const sync = line.match(SYNC_PATTERN);
+    if (sync && !result.sync && result.cues.length === 0) {
+      result.sync = {
+        timeMs: parseSKPTimestamp(sync[1]),
+        description: (lines[i + 1] || '').trim() || null,
+      };
+      continue;
+    }
+
+    // Offset trailer, e.g. {"netflix":0,"amazon":0.7499859999999998}
+    if (line.startsWith('{') && line.endsWith('}')) {
+      try {
+        const offsets = JSON.parse(line);
+        for (const [service, seconds] of Object.entries(offsets)) {
+          if (typeof seconds === 'number') {
+            result.offsets[service] = Math.round(seconds * 1000);
+          }
+        }
+      } catch (e) {
+        // Not an offset trailer after all
+      }
+      continue;
+    }
+
+    // Cue, accepting both "a --> b" and "a-->b"
+    const cue = line.match(CUE_PATTERN);
+    if (cue) {
+      // Label runs until the next blank line (blur boxes may sit on their own line)
+      const label = [];
+      while (i + 1 < lines.length && lines[i + 1].trim() !== '' && !CUE_PATTERN.test(lines[i + 1])) {
+        label.push(lines[++i].trim());
+      }
+
+      result.cues.push({
+        startMs: parseSKPTimestamp(cue[1]),
+        endMs: parseSKPTimestamp(cue[2]),
+        label: label.join(' '),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert parsed SKP cues to internal database format
+ * Cues whose label can't be mapped (sync markers, notes) are left out
+ */
+function skpToDBSegments(cues) {
+  const dbSegments = [];
+
+  for (const cue of cues) {
+    if (cue.endMs <= cue.startMs) continue;
+
+    const mapped = mapSKPLabel(cue.label);
+    if (!mapped) continue;
+
+    dbSegments.push({
+      startMs: cue.startMs,
+      endMs: cue.endMs,
+      ...mapped,
+      contributor: SKP_CONTRIBUTOR,
+    });
+  }
+
+  return dbSegments;
+}
+
+/**
+ * Load manifest.json that links scraped .skp files to IMDB IDs
+ * @param {string} dir - Directory holding manifest.json
+ * @returns {Map} File name -> { imdbId, title, year }
+ */
+function loadSKPManifest(dir) {
+  const manifestPath = path.join(dir, 'manifest.json');
+  const entries = new Map();
+
+  if (!fs.existsSync(manifestPath)) {
+    return entries;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+  for (const movie of manifest.movies || []) {
+    if (!movie.filepath || !movie.imdb_id) continue;
+
+    // Paths were written on Windows
+    entries.set(path.win32.basename(movie.filepath), {
+      imdbId: movie.imdb_id,
+      title: movie.title || null,
+      year: movie.year || null,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Import a single .skp file
+ * @param {string} filePath - Path to the .skp file
+ * @param {object} link - { imdbId, title, year }
+ * @param {object} options - { force } re-import titles that already have VideoSkip data
+ * @returns {object} Import result with a status of imported, junk, skipped or empty
+ */
+async function importSKPFile(filePath, link, options = {}) {
+  const file = path.basename(filePath);
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (isJunkSKP(content)) {
+    return { file, status: 'junk' };
+  }
+
+  const parsed = parseSKP(content);
+  const segments = skpToDBSegments(parsed.cues);
+  const result = {
+    file,
+    imdbId: link.imdbId,
+    cues: parsed.cues.length,
+    segments: segments.length,
+  };
+
+  if (segments.length === 0) {
+    return { ...result, status: 'empty' };
+  }
+
+  const existing = await db.getFilters(link.imdbId);
+  const imported = existing?.segments?.some(s => s.contributor === SKP_CONTRIBUTOR);
+  if (imported && !options.force) {
+    return { ...result, status: 'skipped' };
+  }
+
+  // A forced re-import replaces the title's earlier VideoSkip segments
+  if (imported) {
+    await db.deleteSegmentsByContributor(SKP_CONTRIBUTOR, { imdbId: link.imdbId });
+  }
+
+  const { merged } = await db.bulkImportSegments(link.imdbId, segments, {
+    title: link.title,
+    year: link.year,
+    type: 'movie',
+  });
+
+  for (const [service, offsetMs] of Object.entries(parsed.offsets)) {
+    await db.upsertRelease(link.imdbId, { name: service, offsetMs });
+  }
+
+  return { ...result, status: 'imported', merged, releases: Object.keys(parsed.offsets) };
+}
+
+/**
+ * Import every .skp file in a directory, linking them to titles through manifest.json
+ * @param {string} dir - Directory of .skp files (defaults to data/videoskip-imports)
+ * @param {object} options - { force, onProgress }
+ * @returns {object} Totals per status plus the per-file results
+ */
+async function importSKPDirectory(dir = SKP_IMPORT_DIR, options = {}) {
+  const manifest = loadSKPManifest(dir);
+  const files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.skp')).sort();
+
+  const summary = {
+    files: files.length,
+    imported: 0,
+    junk: 0,
+    unlinked: 0,
+    skipped: 0,
+    empty: 0,
+    segments: 0,
+    results: [],
+  };
+
+  for (const file of files) {
+    const link = manifest.get(file);
+    let result;
+
+    if (!link) {
+      result = isJunkSKP(fs.readFileSync(path.join(dir, file), 'utf8'))
+        ? { file, status: 'junk' }
+        : { file, status: 'unlinked' };
+    } else {
+      try {
+        result = await importSKPFile(path.join(dir, file), link, options);
+      } catch (error) {
+        result = { file, imdbId: link.imdbId, status: 'failed', error: error.message };
+      }
+    }
+
+    summary[result.status] = (summary[result.status] || 0) + 1;
+    if (result.status === 'imported') {
+      summary.segments += result.segments;
+    }
+    summary.results.push(result);
+
+    if (options.onProgress) options.onProgress(result);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  parseSKP,
+  parseSKPTimestamp,
+  mapSKPLabel,
+  isJunkSKP,
+  skpToDBSegments,
+  loadSKPManifest,
+  importSKPFile,
+  importSKPDirectory,
+  SKP_CONTRIBUTOR,
+  SKP_IMPORT_DIR,
+};
@@ -0,0 +1,278 @@
+/**
+ * Dialogue Subtitles
+ * Reads SRT/VTT subtitle files and interleaves CleanStream warnings into them
+ *
+ * Stremio shows one subtitle track at a time, so the warnings are merged into the
+ * viewer's dialogue subtitles rather than offered only as a track of their own.
+ * Source subtitles come from a URL, an upload, or a Stremio subtitles addon
+ * (OpenSubtitles by default) looked up by language.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const { parseContentId } = require('./contentId');
+const { generateSkips, planSubtitleCues, formatVTTTimestamp, formatSRTTimestamp } = require('./skipGenerator');
+const { maskProfanity } = require('./profanity');
+
+// Stremio addon asked for source subtitles by language
+const SUBTITLES_ADDON_URL = (process.env.SUBTITLES_ADDON_URL || 'https://opensubtitles-v3.strem.io').replace(/\/+$/, '');
+
+// Largest source subtitle file accepted
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+
+// Give up on a source that takes longer than this (ms)
+const FETCH_TIMEOUT_MS = 10000;
+
+// Redirects followed when downloading a source, each checked like the original URL
+const MAX_REDIRECTS = 3;
+
+// Networks a source URL may not lead into (loopback, private, link-local, multicast and
+// other non-public ranges), so the server can't be used to reach internal services
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Read an SRT or VTT timestamp ([HH:]MM:SS,mmm or [HH:]MM:SS.mmm)
+ * @returns {number|null} Milliseconds, or null if it isn't a timestamp
+ */
+function parseTimestamp(text) {
+  const match = text.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return parseInt(hours) * 3600000 +
+    parseInt(minutes) * 60000 +
+    parseInt(seconds) * 1000 +
+    parseInt(fraction.padEnd(3, '0'));
+}
+
+/**
+ * Parse an SRT or WebVTT file into cues
+ * Blocks without a timing line (VTT header, NOTE, STYLE) and unreadable cues are left out.
+ * @param {string} text - File contents
+ * @returns {array} [{ startMs, endMs, text }] sorted by start time
+ */
+function parseSubtitles(text) {
+  const blocks = String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    // VTT cue settings (line:0 align:start ...) follow the end time
+    const [start, rest] = lines[timingIndex].split('-->');
+    const startMs = parseTimestamp(start);
+    const endMs = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+
+    if (startMs === null || endMs === null || endMs <= startMs || !cueText) continue;
+    cues.push({ startMs, endMs, text: cueText });
+  }
+
+  return cues.sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Whether an IP address lies in a network source URLs may not reach
+ */
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for source downloads that refuses hosts resolving into a blocked network
+ * Checking at connect time means a host can't pass the check and then resolve elsewhere.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(new Error(`Subtitle host ${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Read a URL into a string, aborting once the body passes maxBytes
+ * Redirects are followed up to MAX_REDIRECTS times; every hop must be http(s) and public.
+ * @returns {Promise<string>} The body, decoded as UTF-8
+ */
+function download(url, { maxBytes, redirects = MAX_REDIRECTS, signal }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return Promise.reject(new Error('Subtitle URL is not valid'));
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return Promise.reject(new Error('Subtitle URL must be http or https'));
+  }
+
+  // IP literals never reach the lookup, so they're checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return Promise.reject(new Error(`Subtitle host ${host} is not a public address`));
+  }
+
+  const client = parsed.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(parsed, { lookup: publicLookup, signal }, response => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects === 0) return reject(new Error('Subtitle source redirected too often'));
+        return resolve(download(new URL(headers.location, parsed), { maxBytes, redirects: redirects - 1, signal }));
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(new Error(`Subtitle source responded ${statusCode}`));
+      }
+      if (parseInt(headers['content-length'], 10) > maxBytes) {
+        response.destroy();
+        return reject(new Error('Subtitle file is too large'));
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          response.destroy();
+          return reject(new Error('Subtitle file is too large'));
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Download a subtitle file
+ * @throws {Error} If the URL isn't http(s) or leads to a non-public address, the request
+ *   fails, or the file is too large
+ */
+async function fetchSubtitleFile(url) {
+  return download(url, { maxBytes: MAX_SUBTITLE_BYTES, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+}
+
+/**
+ * Find a subtitle file for a title in the subtitles addon
+ * @param {string} id - IMDB ID, or tt1234567:1:2 for a series episode
+ * @param {string} lang - Language as the addon names it (ISO 639-2, e.g. eng)
+ * @returns {string|null} URL of the first matching subtitle file, or null if there is none
+ */
+async function findSourceSubtitles(id, lang) {
+  const type = parseContentId(id).season !== null ? 'series' : 'movie';
+  const response = await fetch(`${SUBTITLES_ADDON_URL}/subtitles/${type}/${encodeURIComponent(id)}.json`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Subtitles addon responded ${response.status}`);
+  }
+
+  const { subtitles = [] } = await response.json();
+  return subtitles.find(s => s.lang === lang)?.url || null;
+}
+
+/**
+ * Interleave skip warnings into dialogue cues
+ * @param {array} dialogue - Cues from parseSubtitles
+ * @param {array} skips - The viewer's skips, from generateSkips
+ * @param {object} options - { maskWindows } where dialogue overlapping any of these
+ *   { startMs, endMs } windows has its profanity masked
+ * @returns {array} [{ startMs, endMs, text, kind }] where kind is 'dialogue' or a warning cue kind
+ */
+function mergeSubtitles(dialogue, skips, { maskWindows = [] } = {}) {
+  const masked = dialogue.map(cue => {
+    const inWindow = maskWindows.some(w => cue.startMs < w.endMs && w.startMs < cue.endMs);
+    return { ...cue, kind: 'dialogue', text: inWindow ? maskProfanity(cue.text) : cue.text };
+  });
+
+  return [...masked, ...planSubtitleCues(skips)].sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs);
+}
+
+/**
+ * Language segments whose dialogue gets masked, timed to the viewer's release
+ * Segments at or above the viewer's language threshold count, or all of them if language
+ * skipping is off, whatever action the viewer picked for them.
+ * @returns {array} [{ startMs, endMs }]
+ */
+async function findMaskWindows(id, config = {}) {
+  const language = config.language && config.language !== 'off' ? config.language : 'low';
+  const segments = await generateSkips(id, {
+    language,
+    release: config.release,
+    unapproved: config.unapproved,
+    minConfidence: config.minConfidence,
+    actions: { language: 'mute' },
+  });
+  return segments.map(({ startMs, endMs }) => ({ startMs, endMs }));
+}
+
+/**
+ * Render merged cues as SRT; warnings carry {\an8} so players that honour it show them on top
+ */
+function renderMergedSRT(cues) {
+  return cues.map((cue, index) => {
+    const text = cue.kind === 'dialogue' ? cue.text : `{\\an8}${cue.text}`;
+    return `${index + 1}\n${formatSRTTimestamp(cue.startMs)} --> ${formatSRTTimestamp(cue.endMs)}\n${text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Render merged cues as WebVTT, with warnings placed on the top line
+ */
+function renderMergedVTT(cues, imdbId) {
+  let vtt = 'WEBVTT CleanStream Merged Subtitles\n';
+  vtt += `X-CLEANSTREAM-IMDB: ${imdbId}\n\n`;
+
+  for (const cue of cues) {
+    const timing = `${formatVTTTimestamp(cue.startMs)} --> ${formatVTTTimestamp(cue.endMs)}`;
+    if (cue.kind === 'dialogue') {
+      vtt += `${timing}\n${cue.text}\n\n`;
+    } else {
+      vtt += `${timing} line:0\n<c.cleanstream-${cue.kind}>${cue.text}</c>\n\n`;
+    }
+  }
+
+  return vtt;
+}
+
+module.exports = {
+  SUBTITLES_ADDON_URL,
+  MAX_SUBTITLE_BYTES,
+  parseSubtitles,
+  fetchSubtitleFile,
+  findSourceSubtitles,
+  mergeSubtitles,
+  findMaskWindows,
+  renderMergedSRT,
+  renderMergedVTT,
+};
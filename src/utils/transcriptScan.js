@@ -0,0 +1,133 @@
+/**
+ * Transcript Scan
+ * Generates language segments from a title's subtitles and the profanity wordlist
+ *
+ * Every subtitle line containing a listed word becomes one audio segment spanning the
+ * line, graded by its most severe word. Segments are machine-generated: they are filed
+ * under TRANSCRIPT_CONTRIBUTOR and wait in the moderation queue like any contribution,
+ * where voting and review decide whether they stay. The comment reaches viewers, so it
+ * only names the matched words masked; the wordlist entries themselves are stored as
+ * matchedWords, which only the moderation queue shows.
+ */
+
+const db = require('../database');
+const { SEVERITIES } = require('./mcf');
+const { parseContentId, formatContentId } = require('./contentId');
+const { findRelease } = require('./releases');
+const { validateContributions, runtimeFor } = require('./validation');
+const { getWordlist, findProfanity, maskWord } = require('./profanity');
+
+// Contributor machine-generated segments are stored under
+const TRANSCRIPT_CONTRIBUTOR = 'transcript-scan';
+
+/**
+ * Find the subtitle cues that contain profanity
+ * @param {array} cues - Cues from parseSubtitles
+ * @param {object} wordlist - Graded wordlist (see profanity.js)
+ * @returns {array} Segments as { startMs, endMs, category, subcategory, severity, channel, comment, matchedWords }
+ *   where matchedWords are the wordlist entries matched, as { word, subcategory, severity }
+ */
+function scanTranscript(cues, wordlist = getWordlist()) {
+  const segments = [];
+
+  for (const cue of cues) {
+    const matches = findProfanity(cue.text, wordlist);
+    if (matches.length === 0) continue;
+
+    // The line is as bad as its worst word
+    const worst = matches.reduce((a, b) => (SEVERITIES.indexOf(b.severity) > SEVERITIES.indexOf(a.severity) ? b : a));
+    const words = [...new Set(matches.map(m => m.text.toLowerCase()))];
+    const entries = [...new Map(matches.map(m => [m.word, { word: m.word, subcategory: m.subcategory, severity: m.severity }])).values()];
+
+    segments.push({
+      startMs: cue.startMs,
+      endMs: cue.endMs,
+      category: 'language',
+      subcategory: worst.subcategory,
+      severity: worst.severity,
+      channel: 'audio',
+      comment: `Matched: ${words.map(maskWord).join(', ')}`,
+      matchedWords: entries,
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Whether a stored segment already covers a generated one
+ */
+function isCovered(segment, existing, releaseId) {
+  return existing.some(other => other.category === 'language' &&
+    other.status !== 'rejected' &&
+    (other.season ?? null) === (segment.season ?? null) &&
+    (other.episode ?? null) === (segment.episode ?? null) &&
+    (other.releaseId || null) === releaseId &&
+    other.startMs < segment.endMs && segment.startMs < other.endMs);
+}
+
+/**
+ * Generate and store language segments for a title from its subtitles
+ * Lines overlapping a language segment the title already has are left out.
+ * @param {string} id - IMDB ID, or tt1234567:1:2 for a series episode
+ * @param {array} cues - Subtitle cues from parseSubtitles
+ * @param {object} options - { wordlist, release (ID or name the subtitles are timed to), dryRun }
+ * @returns {object} { matched, covered, segments, errors, imported, merged }, or { error, releases }
+ *   for an unknown release; errors name the startMs of lines left out, and nothing is stored with dryRun
+ */
+async function generateLanguageSegments(id, cues, { wordlist = getWordlist(), release = null, dryRun = false } = {}) {
+  const ref = parseContentId(id);
+  const filterData = await db.getFilters(ref.imdbId);
+  const existing = filterData?.segments || [];
+
+  let releaseId = null;
+  if (release) {
+    const releases = filterData?.releases || [];
+    const anchor = findRelease(releases, release);
+    if (!anchor) {
+      return { error: 'Unknown release', releases: releases.map(r => r.name) };
+    }
+    releaseId = anchor.id;
+  }
+
+  const found = scanTranscript(cues, wordlist).map(seg => ({ ...seg, season: ref.season, episode: ref.episode }));
+  const fresh = found.filter(seg => !isCovered(seg, existing, releaseId));
+
+  const checked = validateContributions(fresh, {
+    runtimeMs: runtimeFor(filterData, { season: ref.season, releaseId }),
+    releaseId,
+  });
+
+  // Validation keeps only contribution fields; put each valid segment's matches back
+  const rejected = new Set(checked.errors.map(e => e.index));
+  const valid = fresh.filter((seg, index) => !rejected.has(index));
+  const segments = checked.segments.map((seg, i) => ({
+    ...seg,
+    matchedWords: valid[i].matchedWords,
+    contributor: TRANSCRIPT_CONTRIBUTOR,
+    releaseId,
+    status: 'pending',
+  }));
+
+  const result = {
+    matched: found.length,
+    covered: found.length - fresh.length,
+    segments,
+    errors: checked.errors.map(({ index, ...e }) => ({ ...e, startMs: fresh[index].startMs })),
+    imported: 0,
+    merged: 0,
+  };
+
+  if (dryRun || segments.length === 0) {
+    return result;
+  }
+
+  const stored = await db.bulkImportSegments(formatContentId(ref.imdbId, ref.season, ref.episode), segments);
+  return { ...result, imported: stored.imported, merged: stored.merged };
+}
+
+module.exports = {
+  TRANSCRIPT_CONTRIBUTOR,
+  scanTranscript,
+  generateLanguageSegments,
+};
@@ -0,0 +1,332 @@
+/**
+ * Segment Validation
+ * Checks segment data coming from the API, MCF imports and the CLI before it reaches storage
+ *
+ * Problems are reported per field as { field, message }, so clients can show each one
+ * next to its input. Suspected duplicates of existing segments are warnings, not errors.
+ */
+
+const { CATEGORIES, CONVENIENCE_CATEGORIES, SEVERITIES, CHANNELS } = require('./mcf');
+
+// Top-level categories segments can be filed under
+const VALID_CATEGORIES = [...new Set(Object.values(CATEGORIES))];
+
+// Fields a segment edit may change
+const EDITABLE_FIELDS = ['startMs', 'endMs', 'category', 'subcategory', 'severity', 'channel', 'comment'];
+
+// Fields every contribution needs (convenience categories have no severity to give)
+const REQUIRED_FIELDS = ['startMs', 'endMs', 'category', 'severity'];
+
+// Contributor names the server files its own segments under, which earn a higher trust prior
+// (see confidence.js), plus the prefixes of admin and automatic moderators
+const RESERVED_CONTRIBUTORS = ['consensus', 'videoskip-import', 'mcf-import', 'bulk-import', 'transcript-scan'];
+const RESERVED_CONTRIBUTOR_PREFIXES = ['admin:', 'auto:'];
+
+// Message for content segments given for a whole season
+const SEASON_PATTERN_ONLY = `episode is required; only ${CONVENIENCE_CATEGORIES.join(', ')} can be set for a whole season`;
+
+/**
+ * Read a time in milliseconds; numbers and numeric strings are accepted
+ * @returns {number|null} The time, or null if it isn't a non-negative integer
+ */
+function parseMs(value) {
+  const ms = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(ms) && ms >= 0 ? ms : null;
+}
+
+/**
+ * Check and normalise the segment fields present in input
+ * @param {object} input - Any of the segment fields
+ * @param {object} base - Values of fields not in input (e.g. the segment being edited)
+ * @returns {object} { fields, errors } with errors as [{ field, message }]
+ */
+function checkFields(input, base = {}) {
+  const fields = {};
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  for (const field of ['startMs', 'endMs']) {
+    if (input[field] === undefined || input[field] === null) continue;
+    const ms = parseMs(input[field]);
+    if (ms === null) {
+      fail(field, `${field} must be a non-negative integer (ms)`);
+    } else {
+      fields[field] = ms;
+    }
+  }
+
+  const startMs = fields.startMs ?? base.startMs;
+  const endMs = fields.endMs ?? base.endMs;
+  if (Number.isInteger(startMs) && Number.isInteger(endMs) && endMs <= startMs && errors.length === 0) {
+    fail('endMs', 'endMs must be after startMs');
+  }
+
+  if (input.category !== undefined && input.category !== null) {
+    if (!VALID_CATEGORIES.includes(input.category)) {
+      fail('category', `Invalid category. Must be: ${VALID_CATEGORIES.join(', ')}`);
+    } else {
+      fields.category = input.category;
+    }
+  }
+
+  if (input.subcategory !== undefined && input.subcategory !== null && input.subcategory !== '') {
+    const category = fields.category || base.category;
+    const parent = Object.hasOwn(CATEGORIES, input.subcategory) ? CATEGORIES[input.subcategory] : null;
+    if (!parent) {
+      fail('subcategory', `Unknown subcategory ${input.subcategory}`);
+    } else if (category && parent !== category) {
+      fail('subcategory', `Subcategory ${input.subcategory} belongs to ${parent}, not ${category}`);
+    } else {
+      fields.subcategory = input.subcategory;
+    }
+  }
+
+  if (input.severity !== undefined && input.severity !== null) {
+    if (!SEVERITIES.includes(input.severity)) {
+      fail('severity', `Invalid severity. Must be: ${SEVERITIES.join(', ')}`);
+    } else {
+      fields.severity = input.severity;
+    }
+  }
+
+  if (input.channel !== undefined && input.channel !== null) {
+    if (!CHANNELS.includes(input.channel)) {
+      fail('channel', `Invalid channel. Must be: ${CHANNELS.join(', ')}`);
+    } else {
+      fields.channel = input.channel;
+    }
+  }
+
+  if (input.comment !== undefined) {
+    if (input.comment !== null && typeof input.comment !== 'string') {
+      fail('comment', 'comment must be a string or null');
+    } else {
+      fields.comment = input.comment ? input.comment.trim() || null : null;
+    }
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Check times against the title's (or release's) runtime, when it is known
+ */
+function checkRuntime(startMs, endMs, runtimeMs) {
+  if (!runtimeMs) return [];
+
+  if (startMs >= runtimeMs) {
+    return [{ field: 'startMs', message: `startMs is past the end of the title (runtime ${runtimeMs} ms)` }];
+  }
+  if (endMs > runtimeMs) {
+    return [{ field: 'endMs', message: `endMs is past the end of the title (runtime ${runtimeMs} ms)` }];
+  }
+  return [];
+}
+
+/**
+ * Runtime segments of a title can be checked against
+ * Times given against a release use its runtime; series titles have no single runtime.
+ * @param {object|null} filterData - Stored title data
+ * @param {object} segment - { season, releaseId }
+ * @returns {number|null} Runtime in ms, or null if unknown
+ */
+function runtimeFor(filterData, { season = null, releaseId = null } = {}) {
+  if (!filterData) return null;
+
+  if (releaseId) {
+    const release = (filterData.releases || []).find(r => r.id === releaseId);
+    return release?.runtime || null;
+  }
+  return season === null || season === undefined ? filterData.runtime || null : null;
+}
+
+/**
+ * Find stored segments a new one may duplicate
+ * Only segments of the same episode, release and category that still count are compared.
+ * @returns {array} Warnings as [{ type: 'duplicate'|'overlap', segmentId, message }], with
+ *   otherIndex instead of segmentId for entries earlier in the same import
+ */
+function findDuplicates(segment, existing) {
+  const warnings = [];
+
+  for (const other of existing) {
+    if (other.status === 'rejected' || other.mergedInto) continue;
+    if ((other.season ?? null) !== (segment.season ?? null) || (other.episode ?? null) !== (segment.episode ?? null)) continue;
+    if ((other.releaseId || null) !== (segment.releaseId || null) || other.category !== segment.category) continue;
+
+    const ref = other.id
+      ? { segmentId: other.id, name: `segment ${other.id}` }
+      : { otherIndex: other.index, name: `entry ${other.index} of this import` };
+    const { name, ...target } = ref;
+
+    if (other.startMs === segment.startMs && other.endMs === segment.endMs) {
+      warnings.push({ type: 'duplicate', ...target, message: `Same times as ${name}` });
+    } else if (other.startMs < segment.endMs && segment.startMs < other.endMs) {
+      warnings.push({ type: 'overlap', ...target, message: `Overlaps ${name}` });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Check a contributor name sent by a client
+ * @returns {string|null} What's wrong with it, or null if it can be used
+ */
+function checkContributor(name) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    return 'contributor must be a name of up to 100 characters';
+  }
+
+  const normalised = name.trim().toLowerCase();
+  if (RESERVED_CONTRIBUTORS.includes(normalised) ||
+      RESERVED_CONTRIBUTOR_PREFIXES.some(prefix => normalised.startsWith(prefix))) {
+    return `contributor "${name.trim()}" is reserved for segments the server adds itself`;
+  }
+  return null;
+}
+
+/**
+ * Whether a segment applies to a whole season (a season-level pattern) rather than one episode
+ */
+function isSeasonPattern(segment) {
+  return segment.season !== null && segment.season !== undefined &&
+    (segment.episode === null || segment.episode === undefined);
+}
+
+/**
+ * Validate a contributed segment
+ * Intro, outro, recap and credits need no severity, and may be given with a season but no
+ * episode, as a pattern for every episode of the season.
+ * @param {object} input - startMs, endMs, category, severity and optionally subcategory,
+ *   channel, comment, season, episode, contributor
+ * @param {object} context - { runtimeMs, existing, releaseId } where existing are segments
+ *   already stored (or accepted earlier in the same import) to check for duplicates
+ * @returns {object} { valid, segment, errors, warnings } where segment is normalised
+ */
+function validateContribution(input, { runtimeMs = null, existing = [], releaseId = null } = {}) {
+  const convenience = CONVENIENCE_CATEGORIES.includes(input.category);
+  const errors = REQUIRED_FIELDS
+    .filter(field => !(field === 'severity' && convenience))
+    .filter(field => input[field] === undefined || input[field] === null || input[field] === '')
+    .map(field => ({ field, message: `${field} is required` }));
+
+  const checked = checkFields(input);
+  errors.push(...checked.errors.filter(e => !errors.some(r => r.field === e.field)));
+
+  for (const field of ['season', 'episode']) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (parseMs(input[field]) === null) {
+      errors.push({ field, message: `${field} must be a non-negative integer` });
+    }
+  }
+
+  if (input.contributor) {
+    const problem = checkContributor(input.contributor);
+    if (problem) errors.push({ field: 'contributor', message: problem });
+  }
+
+  const { fields } = checked;
+  if (errors.length === 0 && isSeasonPattern(input) && !convenience) {
+    errors.push({ field: 'episode', message: SEASON_PATTERN_ONLY });
+  }
+  if (errors.length === 0) {
+    errors.push(...checkRuntime(fields.startMs, fields.endMs, runtimeMs));
+  }
+
+  const segment = {
+    startMs: fields.startMs,
+    endMs: fields.endMs,
+    category: fields.category,
+    subcategory: fields.subcategory || fields.category,
+    severity: fields.severity || (convenience ? 'low' : undefined),
+    channel: fields.channel || 'both',
+    comment: fields.comment ?? null,
+    season: input.season !== undefined && input.season !== null ? parseMs(input.season) : null,
+    episode: input.episode !== undefined && input.episode !== null ? parseMs(input.episode) : null,
+  };
+
+  return {
+    valid: errors.length === 0,
+    segment,
+    errors,
+    warnings: errors.length === 0 ? findDuplicates({ ...segment, releaseId }, existing) : [],
+  };
+}
+
+/**
+ * Validate a batch of segments (e.g. an MCF file), each also checked against the ones before it
+ * @param {array} inputs - Segments to validate
+ * @param {object} context - As for validateContribution
+ * @returns {object} { valid, segments, errors, warnings } with an index on every error and warning
+ */
+function validateContributions(inputs, context = {}) {
+  const existing = [...(context.existing || [])];
+  const result = { valid: true, segments: [], errors: [], warnings: [] };
+
+  inputs.forEach((input, index) => {
+    const checked = validateContribution(input, { ...context, existing });
+    result.errors.push(...checked.errors.map(e => ({ index, ...e })));
+    result.warnings.push(...checked.warnings.map(w => ({ index, ...w })));
+
+    if (checked.valid) {
+      result.segments.push(checked.segment);
+      existing.push({ ...checked.segment, releaseId: context.releaseId || null, index });
+    }
+  });
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Read segment edits from a request body, checked against the current segment
+ * @param {object} body - Request body with any of EDITABLE_FIELDS
+ * @param {object} current - Segment as stored
+ * @param {object} context - { runtimeMs }
+ * @returns {object} { changes } or { error } (plus details for the response)
+ */
+function parseSegmentEdit(body, current, { runtimeMs = null } = {}) {
+  const edits = Object.fromEntries(EDITABLE_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+  const { fields: changes, errors } = checkFields(edits, current);
+
+  if (errors.length === 0 && (changes.startMs !== undefined || changes.endMs !== undefined)) {
+    errors.push(...checkRuntime(changes.startMs ?? current.startMs, changes.endMs ?? current.endMs, runtimeMs));
+  }
+
+  if (errors.length === 0 && changes.category && isSeasonPattern(current) && !CONVENIENCE_CATEGORIES.includes(changes.category)) {
+    errors.push({ field: 'category', message: SEASON_PATTERN_ONLY });
+  }
+
+  if (errors.length > 0) {
+    return { error: 'Invalid segment', errors };
+  }
+
+  // A subcategory of the old category no longer fits
+  if (changes.category && changes.category !== current.category && !changes.subcategory) {
+    changes.subcategory = changes.category;
+  }
+
+  // Only keep what actually differs from the stored segment
+  for (const field of Object.keys(changes)) {
+    if (changes[field] === (current[field] ?? null)) delete changes[field];
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to change', editable: EDITABLE_FIELDS };
+  }
+
+  return { changes };
+}
+
+module.exports = {
+  VALID_CATEGORIES,
+  EDITABLE_FIELDS,
+  REQUIRED_FIELDS,
+  isSeasonPattern,
+  checkContributor,
+  validateContribution,
+  validateContributions,
+  parseSegmentEdit,
+  runtimeFor,
+};
@@ -0,0 +1,62 @@
+/**
+ * Visitor Identity
+ * Anonymous visitors are told apart by a salted hash of their IP address,
+ * or of a client token (X-Visitor-Token) where one is accepted,
+ * so raw IPs and tokens never reach storage or logs
+ */
+
+const crypto = require('crypto');
+
+// Set VISITOR_SALT in production so hashes can't be reversed by brute-forcing the IPv4 space
+const VISITOR_SALT = process.env.VISITOR_SALT || 'cleanstream';
+
+// Client tokens: random strings a client generates once and keeps (e.g. a UUID)
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Marks visitor IDs hashed from a client token, so they can be told apart from IP hashes
+const TOKEN_ID_PREFIX = 't_';
+
+/**
+ * Salted hash of an identifying value
+ */
+function hashIdentity(kind, value) {
+  return crypto.createHash('sha256').update(`${VISITOR_SALT}:${kind}:${value}`).digest('hex').substring(0, 32);
+}
+
+/**
+ * Hash an IP address into a visitor ID
+ * @param {string} ip - Client IP address
+ */
+function hashIp(ip) {
+  return hashIdentity('ip', ip);
+}
+
+/**
+ * Visitor ID for a request (see TRUST_PROXY for deployments behind a proxy)
+ * @param {object} req - Express request
+ * @param {object} options - { token } prefer the client's X-Visitor-Token over its IP,
+ *   so visitors sharing an IP (households, carrier NAT) are told apart.
+ *   Rate limiting keeps using the IP, since tokens are free to rotate.
+ */
+function getVisitorId(req, { token = false } = {}) {
+  const clientToken = req.get('x-visitor-token');
+  if (token && clientToken && TOKEN_PATTERN.test(clientToken)) {
+    return TOKEN_ID_PREFIX + hashIdentity('token', clientToken);
+  }
+
+  return hashIp(req.ip || req.socket?.remoteAddress || 'unknown');
+}
+
+/**
+ * Whether a visitor ID was hashed from a client token rather than an IP address
+ * Anyone can mint tokens, so token visitors shouldn't count where one person must count once
+ */
+function isTokenVisitor(visitorId) {
+  return visitorId.startsWith(TOKEN_ID_PREFIX);
+}
+
+module.exports = {
+  hashIp,
+  getVisitorId,
+  isTokenVisitor,
+};